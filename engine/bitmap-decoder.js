@@ -0,0 +1,113 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Bitmap Decoder (main-thread side)
+   Promise wrapper around decode-worker.js; frames arrive as
+   transferred ImageBitmaps ready to draw without decode jank
+   ═══════════════════════════════════════════════════════════ */
+
+import { loadError } from './frame-loader.js';
+
+/* ── Feature detection ─────────────────────────────────── */
+export function supportsWorkerDecode() {
+    return typeof Worker !== 'undefined' && typeof createImageBitmap === 'function';
+}
+
+/**
+ * Spawn a decode worker. Returns null when the worker can't be created
+ * (e.g. file:// pages); if it dies later, pending and future decodes reject
+ * with reason 'unsupported' so callers can fall back to Image loading.
+ */
+export function createBitmapDecoder(workerUrl = new URL('./decode-worker.js', import.meta.url)) {
+    let worker;
+    try {
+        worker = new Worker(workerUrl);
+    } catch (err) {
+        return null;
+    }
+
+    const pending = new Map();
+    let nextId = 1;
+    let failed = false;
+
+    function settleAll(reason, message) {
+        pending.forEach((p) => p.reject(loadError(reason, message)));
+        pending.clear();
+    }
+
+    worker.addEventListener('message', (event) => {
+        const data = event.data;
+        const p = pending.get(data.id);
+        if (!p) {
+            // Cancelled or timed out while in flight
+            if (data.bitmap) data.bitmap.close();
+            return;
+        }
+        pending.delete(data.id);
+        if (data.bitmap) p.resolve(data);
+        else p.reject(loadError(data.reason, data.error));
+    });
+
+    worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        failed = true;
+        settleAll('unsupported', 'Decode worker unavailable');
+    });
+
+    /* ── Decode one URL; width/height is the canvas pixel size to cover ── */
+    // detectBlank rejects fully transparent frames with reason 'blank'
+    function decode(url, { width = 0, height = 0, detectBlank = false, timeout = 0, signal } = {}) {
+        if (failed) return Promise.reject(loadError('unsupported', 'Decode worker unavailable'));
+
+        return new Promise((resolve, reject) => {
+            const id = nextId++;
+            let timer = null;
+
+            function cancel(reason, message) {
+                const p = pending.get(id);
+                if (!p) return;
+                pending.delete(id);
+                worker.postMessage({ type: 'cancel', id });
+                p.reject(loadError(reason, message));
+            }
+            function onAbort() { cancel('aborted', `Aborted ${url}`); }
+
+            if (signal) {
+                if (signal.aborted) return reject(loadError('aborted', `Aborted ${url}`));
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            function done() {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+            }
+
+            pending.set(id, {
+                resolve: (data) => { done(); resolve(data); },
+                reject: (err) => { done(); reject(err); },
+            });
+            if (timeout > 0) {
+                timer = setTimeout(() => cancel('timeout', `Timed out after ${timeout}ms: ${url}`), timeout);
+            }
+
+            // The worker lives in engine/, so resolve against the page first
+            worker.postMessage({
+                type: 'decode',
+                id,
+                url: new URL(url, document.baseURI).href,
+                width,
+                height,
+                detectBlank,
+            });
+        });
+    }
+
+    function destroy() {
+        failed = true;
+        settleAll('aborted', 'Decoder destroyed');
+        worker.terminate();
+    }
+
+    return {
+        decode,
+        destroy,
+        get failed() { return failed; },
+    };
+}
@@ -0,0 +1,73 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Debug HUD
+   Fixed overlay printing each perf monitor sample, plus a short
+   log of page events; the page shows it with ?debug in the URL
+   ═══════════════════════════════════════════════════════════ */
+
+const MB = 1024 * 1024;
+const LOG_LINES = 4;            // Page events kept under the sample
+
+const ms = (value) => (value === null || value === undefined ? '—' : `${value.toFixed(1)} ms`);
+const pct = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+
+/* ── Sample → lines of text ────────────────────────────── */
+export function formatSample(s) {
+    const lines = [
+        `fps     ${s.fps.toFixed(0)}  (${ms(s.frameTime.avg)} avg, ${ms(s.frameTime.max)} max)`,
+        `dropped ${s.dropped}  (${s.droppedTotal} total)`,
+    ];
+    if (s.frames) {
+        const f = s.frames;
+        lines.push(
+            `frame   ${f.current} → ${f.target} / ${f.total - 1}`,
+            `frames  ${f.loaded} loaded, ${f.pending} pending (${f.loading} in flight), ${f.failed} failed` +
+                (f.skipped ? `, ${f.skipped} skipped` : ''),
+            `load    ${ms(s.loadMs)}   decode ${ms(s.decodeMs)}`,
+            `memory  ${(s.memory.bytes / MB).toFixed(1)} / ${(s.memory.budget / MB).toFixed(0)} MB`,
+            `draw    ${s.renderer || '—'}${s.blending ? ', blending' : ''}`
+        );
+    }
+    lines.push(s.cache
+        ? `sw hits ${pct(s.cache.hitRate)}  (${s.cache.hits} hit, ${s.cache.misses} miss)`
+        : 'sw hits —');
+    return lines.join('\n');
+}
+
+/**
+ * @param {{ monitor: object, parent?: Element }} options  monitor: createPerfMonitor() instance
+ * @returns {{ log: Function, destroy: Function }}
+ */
+export function createDebugHud({ monitor, parent = document.body }) {
+    const el = document.createElement('pre');
+    el.className = 'debug-hud';
+    el.setAttribute('aria-hidden', 'true');
+    el.textContent = 'collecting…';
+    parent.appendChild(el);
+
+    let text = el.textContent;
+    const events = [];
+
+    function paint() {
+        el.textContent = events.length ? `${text}\n\n${events.join('\n')}` : text;
+    }
+
+    function onSample(sample) {
+        text = formatSample(sample);
+        paint();
+    }
+    monitor.on('sample', onSample);
+
+    /** Add a line to the event log (quality changes, precache results…); the last LOG_LINES stay. */
+    function log(message) {
+        events.push(message);
+        if (events.length > LOG_LINES) events.shift();
+        paint();
+    }
+
+    function destroy() {
+        monitor.off('sample', onSample);
+        el.remove();
+    }
+
+    return { log, destroy };
+}
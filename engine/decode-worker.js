@@ -0,0 +1,100 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Frame Decode Worker
+   Fetches frames and decodes them to ImageBitmaps off the
+   main thread, downscaled to cover the target canvas size, and
+   (with detectBlank) probed for full transparency
+
+   in:  { type: 'decode', id, url, width, height, detectBlank }
+        { type: 'cancel', id }
+   out: { id, bitmap, sourceWidth, sourceHeight, decodeTime }   (bitmap transferred; ms)
+        { id, error, reason }
+   ═══════════════════════════════════════════════════════════ */
+
+'use strict';
+
+const controllers = new Map();
+
+function decodeError(reason, message) {
+    const err = new Error(message);
+    err.reason = reason;
+    return err;
+}
+
+/* ── Integrity: fully transparent decode (truncated/blank export) ── */
+let probeCtx = null;
+
+function isBlank(bitmap) {
+    if (typeof OffscreenCanvas === 'undefined') return false;
+    if (!probeCtx) probeCtx = new OffscreenCanvas(16, 9).getContext('2d', { willReadFrequently: true });
+    if (!probeCtx) return false;
+
+    probeCtx.clearRect(0, 0, 16, 9);
+    probeCtx.drawImage(bitmap, 0, 0, 16, 9);
+    const data = probeCtx.getImageData(0, 0, 16, 9).data;
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] !== 0) return false;
+    }
+    return true;
+}
+
+/* ── Fetch + decode one frame ──────────────────────────── */
+async function decode({ id, url, width, height, detectBlank }, signal) {
+    const response = await fetch(url, { signal });
+    if (!response.ok) throw decodeError('network', `HTTP ${response.status} for ${url}`);
+    const blob = await response.blob();
+
+    const decodeStart = performance.now();
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(blob);
+    } catch (err) {
+        throw decodeError('decode', `Could not decode ${url}`);
+    }
+    if (detectBlank && isBlank(bitmap)) {
+        bitmap.close();
+        throw decodeError('blank', `Decoded fully transparent: ${url}`);
+    }
+
+    const sourceWidth = bitmap.width;
+    const sourceHeight = bitmap.height;
+
+    // Cover-fit scale for the target canvas; never upscale
+    if (width > 0 && height > 0) {
+        const scale = Math.max(width / sourceWidth, height / sourceHeight);
+        if (scale < 1) {
+            const resized = await createImageBitmap(bitmap, {
+                resizeWidth: Math.max(1, Math.round(sourceWidth * scale)),
+                resizeHeight: Math.max(1, Math.round(sourceHeight * scale)),
+                resizeQuality: 'high',
+            });
+            bitmap.close();
+            bitmap = resized;
+        }
+    }
+
+    return { id, bitmap, sourceWidth, sourceHeight, decodeTime: performance.now() - decodeStart };
+}
+
+/* ── Message routing ───────────────────────────────────── */
+self.addEventListener('message', (event) => {
+    const msg = event.data;
+
+    if (msg.type === 'cancel') {
+        const controller = controllers.get(msg.id);
+        if (controller) controller.abort();
+        return;
+    }
+    if (msg.type !== 'decode') return;
+
+    const controller = new AbortController();
+    controllers.set(msg.id, controller);
+
+    decode(msg, controller.signal)
+        .then((result) => self.postMessage(result, [result.bitmap]))
+        .catch((err) => self.postMessage({
+            id: msg.id,
+            error: err.message,
+            reason: controller.signal.aborted ? 'aborted' : (err.reason || 'network'),
+        }))
+        .finally(() => controllers.delete(msg.id));
+});
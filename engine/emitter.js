@@ -0,0 +1,37 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Event Emitter
+   Minimal on/off/emit used by engine instances
+   ═══════════════════════════════════════════════════════════ */
+
+export function createEmitter() {
+    const listeners = new Map();
+
+    function on(type, fn) {
+        if (!listeners.has(type)) listeners.set(type, new Set());
+        listeners.get(type).add(fn);
+        return () => off(type, fn);
+    }
+
+    function off(type, fn) {
+        const set = listeners.get(type);
+        if (set) set.delete(fn);
+    }
+
+    function emit(type, payload) {
+        const set = listeners.get(type);
+        if (!set) return;
+        set.forEach((fn) => {
+            try {
+                fn(payload);
+            } catch (err) {
+                console.error(`[antigravity] "${type}" listener failed`, err);
+            }
+        });
+    }
+
+    function clear() {
+        listeners.clear();
+    }
+
+    return { on, off, emit, clear };
+}
@@ -0,0 +1,53 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Frame Atlases
+   Sprite sheets holding many frames each, so a sequence is a
+   handful of requests instead of one per frame
+
+   Manifest rendition:
+     "atlas": { "sheets": ["atlas-001.webp", ...],
+                "frames": [[sheet, x, y, w, h], ...] }   one per frame
+   ═══════════════════════════════════════════════════════════ */
+
+/* ── Resolve a manifest atlas against its base URL ─────── */
+export function resolveAtlas(atlas, base, baseUrl) {
+    return {
+        sheets: atlas.sheets.map((file) => new URL((base || '') + file, baseUrl).href),
+        frames: atlas.frames.map(([sheet, x, y, w, h]) => ({ sheet, x, y, w, h })),
+    };
+}
+
+export function validateAtlas(atlas, frameCount, where) {
+    if (!atlas || !Array.isArray(atlas.sheets) || !atlas.sheets.length) return `${where} atlas needs \`sheets\``;
+    if (!Array.isArray(atlas.frames) || atlas.frames.length !== frameCount) {
+        return `${where} atlas lists ${atlas.frames ? atlas.frames.length : 0} frames, expected ${frameCount}`;
+    }
+    const bad = atlas.frames.findIndex((f) => !Array.isArray(f) || f.length !== 5 || !(f[0] >= 0 && f[0] < atlas.sheets.length));
+    return bad >= 0 ? `${where} atlas frame ${bad} must be [sheet, x, y, w, h]` : null;
+}
+
+/* ── A drawable view of one frame inside a decoded sheet ── */
+export function createFrameView(sheetIndex, image, rect) {
+    return {
+        sheet: sheetIndex,
+        image,
+        sx: rect.x,
+        sy: rect.y,
+        sw: rect.w,
+        sh: rect.h,
+        width: rect.w,
+        height: rect.h,
+    };
+}
+
+export function isFrameView(frame) {
+    return !!frame && frame.sheet !== undefined && frame.image !== undefined;
+}
+
+/* ── Draw a plain image or an atlas view ───────────────── */
+export function drawFrame(ctx, frame, dx, dy, dw, dh) {
+    if (isFrameView(frame)) {
+        ctx.drawImage(frame.image, frame.sx, frame.sy, frame.sw, frame.sh, dx, dy, dw, dh);
+    } else {
+        ctx.drawImage(frame, dx, dy, dw, dh);
+    }
+}
@@ -0,0 +1,108 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Frame Cache Budget
+   Tracks decoded frame memory (width × height × 4) and picks
+   frames to evict, farthest from the playhead first. An entry
+   can cover a span of frames (a whole atlas sheet).
+   ═══════════════════════════════════════════════════════════ */
+
+const MB = 1024 * 1024;
+
+/* ── Budget from navigator.deviceMemory (GB, coarse) ───── */
+export function budgetForDevice(deviceMemory) {
+    if (!(deviceMemory > 0)) return 256 * MB;
+    return Math.min(Math.max(deviceMemory * 64 * MB, 64 * MB), 512 * MB);
+}
+
+export function estimateBytes(image) {
+    const w = image.width || image.naturalWidth || 0;
+    const h = image.height || image.naturalHeight || 0;
+    return w * h * 4;
+}
+
+/**
+ * Entries are keyed by frame index, or by any key with the
+ * [first, last] frame span it holds in memory.
+ * @param {{ budget: number }} options  Budget in bytes
+ */
+export function createFrameCache({ budget }) {
+    const sizes = new Map();       // key → bytes
+    const lastUsed = new Map();    // key → tick of last draw
+    const spans = new Map();       // key → [first, last] frame
+    let bytes = 0;
+    let clock = 0;
+
+    function add(key, image, span = [key, key]) {
+        remove(key);
+        const size = estimateBytes(image);
+        sizes.set(key, size);
+        lastUsed.set(key, ++clock);
+        spans.set(key, span);
+        bytes += size;
+    }
+
+    function remove(key) {
+        if (!sizes.has(key)) return;
+        bytes -= sizes.get(key);
+        sizes.delete(key);
+        lastUsed.delete(key);
+        spans.delete(key);
+    }
+
+    function touch(key) {
+        if (sizes.has(key)) lastUsed.set(key, ++clock);
+    }
+
+    // Frames between `center` and the nearest frame the entry holds
+    function distance(key, center) {
+        const [first, last] = spans.get(key);
+        return center < first ? first - center : center > last ? center - last : 0;
+    }
+
+    /* ── Would one more (average-sized) frame fit? ────── */
+    function hasRoom() {
+        const average = sizes.size ? bytes / sizes.size : 0;
+        return bytes + average <= budget;
+    }
+
+    /* ── Entries to drop to get back under budget ─────── */
+    // Entries holding a frame within `keep` of `center` are never chosen;
+    // ties on distance go to the least recently drawn.
+    function victims(center, keep) {
+        if (bytes <= budget) return [];
+
+        const candidates = [];
+        sizes.forEach((size, key) => {
+            if (distance(key, center) > keep) candidates.push(key);
+        });
+        candidates.sort((a, b) =>
+            distance(b, center) - distance(a, center) || lastUsed.get(a) - lastUsed.get(b)
+        );
+
+        const out = [];
+        let remaining = bytes;
+        for (let i = 0; i < candidates.length && remaining > budget; i++) {
+            out.push(candidates[i]);
+            remaining -= sizes.get(candidates[i]);
+        }
+        return out;
+    }
+
+    function clear() {
+        sizes.clear();
+        lastUsed.clear();
+        spans.clear();
+        bytes = 0;
+    }
+
+    return {
+        add,
+        remove,
+        touch,
+        hasRoom,
+        victims,
+        clear,
+        get bytes() { return bytes; },
+        get budget() { return budget; },
+        set budget(value) { budget = value; },
+    };
+}
@@ -0,0 +1,117 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Frame Loader
+   Single-frame image loading with per-attempt timeouts,
+   bounded exponential-backoff retries and integrity checks
+   ═══════════════════════════════════════════════════════════ */
+
+/* ── Frame status values (stored in a Uint8Array) ──────── */
+export const FRAME_STATUS = Object.freeze({
+    IDLE: 0,
+    LOADING: 1,    // Requested, or waiting out a retry backoff
+    LOADED: 2,
+    FAILED: 3,     // Permanent until retryFrames()
+    SKIPPED: 4,    // Left out of this run (onlyFrames); drawn from the nearest loaded frame
+});
+
+export function loadError(reason, message) {
+    const err = new Error(message);
+    err.reason = reason;
+    return err;
+}
+
+/* ── One attempt: resolve with a decoded-size-known Image ── */
+export function loadImage(url, { timeout = 0, signal } = {}) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        let timer = null;
+
+        function cleanup() {
+            clearTimeout(timer);
+            img.onload = img.onerror = null;
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+        function fail(reason, message) {
+            cleanup();
+            img.src = '';
+            reject(loadError(reason, message));
+        }
+        function onAbort() { fail('aborted', `Aborted ${url}`); }
+
+        if (signal) {
+            if (signal.aborted) return onAbort();
+            signal.addEventListener('abort', onAbort);
+        }
+        if (timeout > 0) {
+            timer = setTimeout(() => fail('timeout', `Timed out after ${timeout}ms: ${url}`), timeout);
+        }
+
+        img.onload = () => { cleanup(); resolve(img); };
+        img.onerror = () => fail('network', `Failed to load ${url}`);
+        img.src = url;
+    });
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        function onAbort() {
+            clearTimeout(timer);
+            reject(loadError('aborted', 'Aborted'));
+        }
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/* ── Retry wrapper ─────────────────────────────────────── */
+// Another fetch gets the same blank frame back
+const NO_RETRY = ['aborted', 'unsupported', 'blank'];
+
+// Waits retryDelay, 2×, 4×… between attempts. The rejection carries
+// `reason` ('network' | 'timeout' | 'decode' | 'blank' | 'aborted' | 'unsupported')
+// and `attempts`; aborted, unsupported and blank loads are never retried.
+export async function retry(attemptFn, { retries = 3, retryDelay = 250, signal } = {}) {
+    let attempt = 0;
+    for (;;) {
+        attempt++;
+        try {
+            return await attemptFn(attempt);
+        } catch (err) {
+            err.attempts = attempt;
+            if (NO_RETRY.includes(err.reason) || attempt > retries) throw err;
+        }
+        await wait(retryDelay * 2 ** (attempt - 1), signal);
+    }
+}
+
+export function loadImageWithRetry(url, { retries = 3, retryDelay = 250, timeout = 10000, signal } = {}) {
+    return retry(() => loadImage(url, { timeout, signal }), { retries, retryDelay, signal });
+}
+
+/* ── Integrity: fully transparent decode (truncated/blank export) ── */
+let probeCtx = null;
+
+export function isBlankImage(img) {
+    if (!probeCtx) {
+        const probe = document.createElement('canvas');
+        probe.width = 16;
+        probe.height = 9;
+        probeCtx = probe.getContext('2d', { willReadFrequently: true });
+    }
+    if (!probeCtx) return false;
+
+    probeCtx.clearRect(0, 0, 16, 9);
+    probeCtx.drawImage(img, 0, 0, 16, 9);
+    try {
+        const data = probeCtx.getImageData(0, 0, 16, 9).data;
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] !== 0) return false;
+        }
+        return true;
+    } catch (err) {
+        // Cross-origin frames taint the probe; skip the check
+        return false;
+    }
+}
@@ -0,0 +1,182 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Frame Manifest & Rendition Selection
+   Picks a frame set (size, format, frame rate) for the
+   device and network, and resolves frame URLs through it
+
+   frames/manifest.json:
+     { "version": 1, "frameCount": 150, "width": 1920, "height": 1080,
+       "renditions": [{ "id": "1080p-png", "format": "png",
+         "width": 1920, "height": 1080, "step": 1, "frameCount": 150,
+         "base": "./", "pattern": "{n}.png", "pad": 3 }] }
+
+   A rendition lists `files` (one path per frame), a `pattern`
+   where {n} is the 1-based file number padded to `pad`, or an
+   `atlas` of sprite sheets (see frame-atlas.js).
+   `step: 2` marks a half-rate set (every other source frame).
+   Optional `hash` (top level) versions the service worker's frame
+   cache; optional rendition `bytes` sizes its precache.
+   ═══════════════════════════════════════════════════════════ */
+
+import { resolveAtlas, validateAtlas } from './frame-atlas.js';
+
+const MIME = { png: 'image/png', webp: 'image/webp', avif: 'image/avif', jpg: 'image/jpeg' };
+
+// Smallest valid images of each type; decoding them proves support
+const PROBES = {
+    webp: 'data:image/webp;base64,UklGRhoAAABXRUJQVlA4TA0AAAAvAAAAEAcQERGIiP4HAA==',
+    avif: 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+};
+
+// Preference when two renditions are otherwise equal
+const FORMAT_RANK = { avif: 0, webp: 1, jpg: 2, png: 3 };
+
+const SLOW_CONNECTIONS = ['slow-2g', '2g', '3g'];
+
+/* ── Validation ────────────────────────────────────────── */
+export function validateManifest(manifest) {
+    const fail = (msg) => { throw new TypeError(`Invalid frame manifest: ${msg}`); };
+
+    if (!manifest || typeof manifest !== 'object') fail('not an object');
+    if (!(manifest.frameCount > 0)) fail('`frameCount` must be a positive number');
+    if (!Array.isArray(manifest.renditions) || !manifest.renditions.length) fail('`renditions` must be a non-empty array');
+
+    manifest.renditions.forEach((r, i) => {
+        const where = `renditions[${i}]${r && r.id ? ` (${r.id})` : ''}`;
+        if (!r || typeof r !== 'object') fail(`${where} is not an object`);
+        if (!(r.width > 0) || !(r.height > 0)) fail(`${where} needs positive \`width\` and \`height\``);
+        if (!MIME[r.format]) fail(`${where} has unknown format "${r.format}"`);
+        if (!Array.isArray(r.files) && typeof r.pattern !== 'string' && !r.atlas) {
+            fail(`${where} needs \`files\`, \`pattern\` or \`atlas\``);
+        }
+        if (r.atlas) {
+            const problem = validateAtlas(r.atlas, renditionFrameCount(manifest, r), where);
+            if (problem) fail(problem);
+        }
+        if (Array.isArray(r.files) && r.files.length !== renditionFrameCount(manifest, r)) {
+            fail(`${where} lists ${r.files.length} files, expected ${renditionFrameCount(manifest, r)}`);
+        }
+    });
+    return manifest;
+}
+
+export function renditionFrameCount(manifest, rendition) {
+    return rendition.frameCount || Math.ceil(manifest.frameCount / (rendition.step || 1));
+}
+
+/* ── Format support (cached per page) ──────────────────── */
+let formatsPromise = null;
+
+function probe(src) {
+    return new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => resolve(img.width > 0);
+        img.onerror = () => resolve(false);
+        img.src = src;
+    });
+}
+
+export function detectFormats() {
+    if (!formatsPromise) {
+        formatsPromise = Promise.all([probe(PROBES.webp), probe(PROBES.avif)])
+            .then(([webp, avif]) => {
+                const formats = new Set(['png', 'jpg']);
+                if (webp) formats.add('webp');
+                if (avif) formats.add('avif');
+                return formats;
+            });
+    }
+    return formatsPromise;
+}
+
+/* ── Selection ─────────────────────────────────────────── */
+/**
+ * @param {object} manifest  Validated manifest
+ * @param {{ width: number, height: number, dpr?: number,
+ *           effectiveType?: string, saveData?: boolean, formats?: Set<string> }} env
+ *        width/height are the canvas size in CSS pixels
+ */
+export function selectRendition(manifest, env) {
+    const formats = env.formats || new Set(['png', 'jpg']);
+    const constrained = !!env.saveData || SLOW_CONNECTIONS.includes(env.effectiveType);
+
+    let candidates = manifest.renditions.filter((r) => formats.has(r.format));
+    if (!candidates.length) candidates = manifest.renditions.slice();
+
+    // Source width needed to cover the canvas without upscaling;
+    // constrained connections accept half resolution
+    const dpr = env.dpr || 1;
+    const pw = env.width * dpr;
+    const ph = env.height * dpr;
+    const aspect = (manifest.width && manifest.height) ? manifest.width / manifest.height : candidates[0].width / candidates[0].height;
+    let needed = Math.max(pw, ph * aspect);
+    if (constrained) needed *= 0.5;
+
+    const wantStep = constrained ? 2 : 1;
+
+    const score = (r) => [
+        r.width >= needed ? 0 : 1,                         // big enough first
+        r.width >= needed ? r.width : -r.width,            // then smallest sufficient (or largest available)
+        Math.abs((r.step || 1) - wantStep),                // full rate, or half rate when constrained
+        FORMAT_RANK[r.format],
+        r.atlas ? 0 : 1,                                   // fewer requests
+    ];
+
+    return candidates.slice().sort((a, b) => {
+        const sa = score(a);
+        const sb = score(b);
+        for (let i = 0; i < sa.length; i++) {
+            if (sa[i] !== sb[i]) return sa[i] - sb[i];
+        }
+        return 0;
+    })[0];
+}
+
+/* ── URL resolution ────────────────────────────────────── */
+export function renditionFrameUrl(rendition, index, baseUrl) {
+    let file;
+    if (Array.isArray(rendition.files)) {
+        file = rendition.files[index];
+    } else {
+        const n = String((rendition.start || 1) + index).padStart(rendition.pad || 0, '0');
+        file = rendition.pattern.replace('{n}', n);
+    }
+    return new URL((rendition.base || '') + file, baseUrl).href;
+}
+
+/**
+ * Fetch a manifest and pick the rendition for this device. Resolves with
+ * options to spread into createScrollSequence().
+ *
+ * @param {string} manifestUrl
+ * @param {{ width: number, height: number, dpr?: number }} size  Canvas size in CSS px
+ */
+export async function resolveFrameSet(manifestUrl, size) {
+    const url = new URL(manifestUrl, document.baseURI).href;
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Frame manifest ${url}: HTTP ${response.status}`);
+    const manifest = validateManifest(await response.json());
+
+    const connection = navigator.connection || {};
+    const rendition = selectRendition(manifest, {
+        width: size.width,
+        height: size.height,
+        dpr: size.dpr || Math.min(window.devicePixelRatio || 1, 2),
+        effectiveType: connection.effectiveType,
+        saveData: connection.saveData,
+        formats: await detectFormats(),
+    });
+
+    const atlas = rendition.atlas ? resolveAtlas(rendition.atlas, rendition.base, url) : null;
+
+    return {
+        frameCount: renditionFrameCount(manifest, rendition),
+        sourceFrameCount: manifest.frameCount,
+        frameUrl: atlas
+            ? (i) => atlas.sheets[atlas.frames[i].sheet]
+            : (i) => renditionFrameUrl(rendition, i, url),
+        atlas,
+        frameSize: { width: rendition.width, height: rendition.height },
+        rendition,
+        manifest,
+    };
+}
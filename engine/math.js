@@ -0,0 +1,30 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Engine Math
+   Frame-rate independent easing and canvas fit helpers
+   ═══════════════════════════════════════════════════════════ */
+
+/* ── Clamp ─────────────────────────────────────────────── */
+export function clamp(value, min, max) {
+    return value < min ? min : value > max ? max : value;
+}
+
+/* ── Delta-time Lerp ───────────────────────────────────── */
+// `factor` is the per-frame easing at `fps`; results within `snap` of the
+// target are snapped so the loop can settle and stop redrawing.
+export function lerp(current, target, factor, dt, fps = 60, snap = 0.5) {
+    const r = current + (target - current) * (1 - Math.pow(1 - factor, dt * fps));
+    return Math.abs(target - r) < snap ? target : r;
+}
+
+/* ── Cover Fit (object-fit: cover for canvas draws) ────── */
+export function coverFit(iw, ih, pw, ph) {
+    const ir = iw / ih;
+    const cr = pw / ph;
+
+    if (cr > ir) {
+        const dh = pw / ir;
+        return { dx: 0, dy: (ph - dh) / 2, dw: pw, dh };
+    }
+    const dw = ph * ir;
+    return { dx: (pw - dw) / 2, dy: 0, dw, dh: ph };
+}
@@ -0,0 +1,87 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Motion Preference
+   Follows prefers-reduced-motion live, with a user override
+   that persists until the OS setting itself changes
+   ═══════════════════════════════════════════════════════════ */
+
+import { createEmitter } from './emitter.js';
+
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * Events:
+ *   'change' { reduced, source }   source: 'system' | 'user'
+ *
+ * @param {{ storageKey?: string }} options  localStorage key for the override; null to not persist
+ * @returns {{ reduced: boolean, set: Function, toggle: Function, destroy: Function, on: Function, off: Function }}
+ */
+export function createMotionPreference({ storageKey = 'antigravity-motion' } = {}) {
+    const emitter = createEmitter();
+    const media = typeof matchMedia === 'function' ? matchMedia(QUERY) : null;
+    let override = readOverride();          // 'reduce' | 'full' | null
+    let reduced = resolve();
+
+    function readOverride() {
+        if (!storageKey) return null;
+        try {
+            const value = localStorage.getItem(storageKey);
+            return value === 'reduce' || value === 'full' ? value : null;
+        } catch (err) {
+            return null;                    // Storage blocked (private mode, sandboxed iframe)
+        }
+    }
+
+    function writeOverride() {
+        if (!storageKey) return;
+        try {
+            if (override) localStorage.setItem(storageKey, override);
+            else localStorage.removeItem(storageKey);
+        } catch (err) { /* not persisted */ }
+    }
+
+    function resolve() {
+        if (override) return override === 'reduce';
+        return !!(media && media.matches);
+    }
+
+    function update(source) {
+        const next = resolve();
+        if (next === reduced) return;
+        reduced = next;
+        emitter.emit('change', { reduced, source });
+    }
+
+    // The OS setting changing is a fresh decision: it wins over an old override
+    function onMediaChange() {
+        override = null;
+        writeOverride();
+        update('system');
+    }
+
+    /** Force reduced (true) or full (false) motion; null follows the OS setting again. */
+    function set(value) {
+        override = value === null || value === undefined ? null : (value ? 'reduce' : 'full');
+        writeOverride();
+        update('user');
+    }
+
+    function toggle() {
+        set(!reduced);
+    }
+
+    function destroy() {
+        if (media) media.removeEventListener('change', onMediaChange);
+        emitter.clear();
+    }
+
+    if (media) media.addEventListener('change', onMediaChange);
+
+    return {
+        set,
+        toggle,
+        destroy,
+        on: emitter.on,
+        off: emitter.off,
+        get reduced() { return reduced; },
+    };
+}
@@ -0,0 +1,201 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Parallax Input
+   One -1…1 x/y offset for parallax from whichever input the
+   device has: mouse or pen position, device tilt, touch drag,
+   or a value set from code. Listeners are detached while the
+   tab is hidden.
+
+   Tilt needs a permission prompt on iOS; requestTilt() must be
+   called from a user gesture (tap or click handler).
+   ═══════════════════════════════════════════════════════════ */
+
+import { createEmitter } from './emitter.js';
+import { clamp } from './math.js';
+
+const DEFAULTS = {
+    tiltRange: 20,             // Degrees from the resting angle for full deflection
+    tiltRecenter: 0.01,        // How fast the resting angle follows a held tilt (per event)
+    dragRange: 0.5,            // Share of the viewport a touch drag needs for full deflection
+};
+
+function orientationApi() {
+    return typeof window !== 'undefined' && typeof window.DeviceOrientationEvent === 'function'
+        ? window.DeviceOrientationEvent
+        : null;
+}
+
+// Screen rotation in degrees (0, 90, 180, 270)
+function screenAngle() {
+    if (screen.orientation && typeof screen.orientation.angle === 'number') return screen.orientation.angle;
+    return typeof window.orientation === 'number' ? (window.orientation + 360) % 360 : 0;
+}
+
+/**
+ * Events:
+ *   'change' { x, y, source }       source: 'pointer' | 'tilt' | 'touch' | 'program'
+ *   'tilt'   { state }              permission state changed (see `tilt`)
+ *
+ * @param {object} options  See DEFAULTS
+ * @returns {{ start: Function, destroy: Function, set: Function, requestTilt: Function,
+ *            on: Function, off: Function }}
+ */
+export function createParallaxInput(options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const emitter = createEmitter();
+    const Orientation = orientationApi();
+
+    let x = 0;
+    let y = 0;
+    let source = null;
+    let started = false;
+    let attached = false;
+
+    // 'unsupported' | 'prompt' (iOS, not asked yet) | 'granted' | 'denied'
+    let tilt = !Orientation ? 'unsupported'
+        : typeof Orientation.requestPermission === 'function' ? 'prompt' : 'granted';
+    let tiltActive = false;                        // Real readings have arrived
+    let rest = null;                               // { beta, gamma } the device is held at
+    let drag = null;                               // { x0, y0, fromX, fromY } of the current touch
+
+    function update(nx, ny, from) {
+        nx = clamp(nx, -1, 1);
+        ny = clamp(ny, -1, 1);
+        if (nx === x && ny === y && from === source) return;
+        x = nx;
+        y = ny;
+        source = from;
+        emitter.emit('change', { x, y, source });
+    }
+
+    /* ── Mouse / pen position ──────────────────────────── */
+    function onPointerMove(e) {
+        if (e.pointerType === 'touch') return;
+        update((e.clientX / window.innerWidth - 0.5) * 2, (e.clientY / window.innerHeight - 0.5) * 2, 'pointer');
+    }
+
+    /* ── Device tilt, relative to how the device is held ── */
+    function onOrientation(e) {
+        if (e.beta === null || e.gamma === null) return;      // Desktop browsers fire empty events
+        tiltActive = true;
+        if (!rest) rest = { beta: e.beta, gamma: e.gamma };
+        rest.beta += (e.beta - rest.beta) * opts.tiltRecenter;
+        rest.gamma += (e.gamma - rest.gamma) * opts.tiltRecenter;
+
+        const db = (e.beta - rest.beta) / opts.tiltRange;
+        const dg = (e.gamma - rest.gamma) / opts.tiltRange;
+        // beta tilts towards the user, gamma sideways, in portrait terms
+        const angle = screenAngle();
+        if (angle === 90) update(db, -dg, 'tilt');
+        else if (angle === 270) update(-db, dg, 'tilt');
+        else if (angle === 180) update(-dg, -db, 'tilt');
+        else update(dg, db, 'tilt');
+    }
+
+    /* ── Touch drag (tilt wins when it is available) ───── */
+    // Touch events rather than pointer events: a drag that turns into a
+    // scroll cancels the pointer but keeps sending touchmove.
+    function onTouchStart(e) {
+        if (tiltActive || e.touches.length !== 1) return;
+        const t = e.touches[0];
+        drag = { x0: t.clientX, y0: t.clientY, fromX: x, fromY: y };
+    }
+
+    function onTouchMove(e) {
+        if (!drag || tiltActive) return;
+        const t = e.touches[0];
+        const range = opts.dragRange;
+        update(
+            drag.fromX + (t.clientX - drag.x0) / (window.innerWidth * range),
+            drag.fromY + (t.clientY - drag.y0) / (window.innerHeight * range),
+            'touch'
+        );
+    }
+
+    function onTouchEnd() {
+        drag = null;
+    }
+
+    /* ── Listeners (off while the tab is hidden) ───────── */
+    function attach() {
+        if (attached) return;
+        attached = true;
+        window.addEventListener('pointermove', onPointerMove, { passive: true });
+        window.addEventListener('touchstart', onTouchStart, { passive: true });
+        window.addEventListener('touchmove', onTouchMove, { passive: true });
+        window.addEventListener('touchend', onTouchEnd, { passive: true });
+        window.addEventListener('touchcancel', onTouchEnd, { passive: true });
+        if (tilt === 'granted') window.addEventListener('deviceorientation', onOrientation);
+    }
+
+    function detach() {
+        if (!attached) return;
+        attached = false;
+        window.removeEventListener('pointermove', onPointerMove);
+        window.removeEventListener('touchstart', onTouchStart);
+        window.removeEventListener('touchmove', onTouchMove);
+        window.removeEventListener('touchend', onTouchEnd);
+        window.removeEventListener('touchcancel', onTouchEnd);
+        window.removeEventListener('deviceorientation', onOrientation);
+        drag = null;
+        rest = null;                               // Re-centre on however it's held when back
+    }
+
+    function onVisibilityChange() {
+        if (document.visibilityState === 'hidden') detach();
+        else attach();
+    }
+
+    /* ── Public API ────────────────────────────────────── */
+    function start() {
+        if (started) return api;
+        started = true;
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        if (document.visibilityState !== 'hidden') attach();
+        return api;
+    }
+
+    /**
+     * Ask for motion sensor access (iOS). Call from a user gesture.
+     * @returns {Promise<boolean>} whether tilt input is on
+     */
+    function requestTilt() {
+        if (tilt !== 'prompt') return Promise.resolve(tilt === 'granted');
+        return Orientation.requestPermission().then(
+            (result) => result === 'granted',
+            () => false
+        ).then((granted) => {
+            tilt = granted ? 'granted' : 'denied';
+            if (granted && attached) window.addEventListener('deviceorientation', onOrientation);
+            emitter.emit('tilt', { state: tilt });
+            return granted;
+        });
+    }
+
+    /** Set the offset from code; held until another input moves it. */
+    function set(nx, ny) {
+        update(Number(nx) || 0, Number(ny) || 0, 'program');
+        return api;
+    }
+
+    function destroy() {
+        detach();
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+        started = false;
+        emitter.clear();
+    }
+
+    const api = {
+        start,
+        destroy,
+        set,
+        requestTilt,
+        on: emitter.on,
+        off: emitter.off,
+        get x() { return x; },
+        get y() { return y; },
+        get source() { return source; },
+        get tilt() { return tilt; },
+    };
+
+    return api;
+}
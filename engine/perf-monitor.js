@@ -0,0 +1,151 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Performance Monitor
+   Watches the shared rAF loop and a scroll sequence, and emits
+   one 'sample' per interval: for the debug HUD, or for sending
+   to an analytics endpoint
+   ═══════════════════════════════════════════════════════════ */
+
+import { createEmitter } from './emitter.js';
+import { addTicker } from './ticker.js';
+
+const DEFAULTS = {
+    sequence: null,            // createScrollSequence() instance (its stats getter); see setSequence
+    interval: 1000,            // ms between samples
+    targetFps: 60,             // A frame later than 1.5 × this budget counts as dropped
+    cacheStats: null,          // () => Promise<{ hits, misses } | null>, e.g. getCacheStats
+};
+
+// Gaps longer than this are a throttled or hidden tab, not jank
+const MAX_GAP = 1000;
+
+/**
+ * Events:
+ *   'sample' {
+ *     time,                                  performance.now() at the sample
+ *     fps, frameTime: { avg, max },          rAF over the interval (ms)
+ *     dropped, droppedTotal,                 frames missed this interval / since start
+ *     frames: { current, target, total, loaded, pending, loading, failed, skipped },
+ *     loadMs, decodeMs,                      moving averages per frame (decodeMs: worker only)
+ *     memory: { bytes, budget },             decoded frames held by the sequence
+ *     cache: { hits, misses, hitRate },      service worker frame cache (null without one)
+ *     renderer, blending }
+ *
+ * @param {object} options  See DEFAULTS
+ * @returns {{ start: Function, destroy: Function, setSequence: Function, on: Function, off: Function }}
+ */
+export function createPerfMonitor(options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const emitter = createEmitter();
+    const budget = 1000 / opts.targetFps;
+
+    let stopTicker = null;
+    let timer = null;
+    let lastTimestamp = 0;
+    let ticks = 0;
+    let frameTimeSum = 0;
+    let frameTimeMax = 0;
+    let dropped = 0;
+    let droppedTotal = 0;
+    let cache = null;
+    let latest = null;
+    let sequence = opts.sequence;
+
+    function tick(dt, timestamp) {
+        const elapsed = lastTimestamp ? timestamp - lastTimestamp : 0;
+        lastTimestamp = timestamp;
+        if (!elapsed || elapsed > MAX_GAP) return;
+
+        ticks++;
+        frameTimeSum += elapsed;
+        frameTimeMax = Math.max(frameTimeMax, elapsed);
+        if (elapsed > budget * 1.5) {
+            const missed = Math.round(elapsed / budget) - 1;
+            dropped += missed;
+            droppedTotal += missed;
+        }
+    }
+
+    // Hidden tabs stop rAF; don't count the gap when it comes back
+    function onVisibilityChange() {
+        lastTimestamp = 0;
+    }
+
+    function refreshCacheStats() {
+        if (!opts.cacheStats) return;
+        opts.cacheStats().then((stats) => {
+            if (!stats) return;
+            const requests = stats.hits + stats.misses;
+            cache = { hits: stats.hits, misses: stats.misses, hitRate: requests ? stats.hits / requests : null };
+        }, () => { });
+    }
+
+    function sample() {
+        if (document.visibilityState === 'hidden') return;
+        const seq = sequence ? sequence.stats : null;
+        const avg = ticks ? frameTimeSum / ticks : 0;
+
+        latest = {
+            time: performance.now(),
+            fps: avg ? 1000 / avg : 0,
+            frameTime: { avg, max: frameTimeMax },
+            dropped,
+            droppedTotal,
+            frames: seq && {
+                current: seq.frame,
+                target: seq.target,
+                total: seq.total,
+                loaded: seq.loaded,
+                pending: seq.pending,
+                loading: seq.loading,
+                failed: seq.failed,
+                skipped: seq.skipped,
+            },
+            loadMs: seq && seq.loadMs,
+            decodeMs: seq && seq.decodeMs,
+            memory: seq && { bytes: seq.memory, budget: seq.memoryBudget },
+            cache,
+            renderer: seq && seq.renderer,
+            blending: seq ? seq.blending : false,
+        };
+
+        ticks = frameTimeSum = frameTimeMax = dropped = 0;
+        refreshCacheStats();
+        emitter.emit('sample', latest);
+    }
+
+    /* ── Public API ────────────────────────────────────── */
+    function start() {
+        if (stopTicker) return api;
+        stopTicker = addTicker(tick);
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        refreshCacheStats();
+        timer = setInterval(sample, opts.interval);
+        return api;
+    }
+
+    /** Watch a sequence created after the monitor (or null to stop). */
+    function setSequence(value) {
+        sequence = value;
+        return api;
+    }
+
+    function destroy() {
+        if (stopTicker) stopTicker();
+        stopTicker = null;
+        clearInterval(timer);
+        timer = null;
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+        emitter.clear();
+    }
+
+    const api = {
+        start,
+        destroy,
+        setSequence,
+        on: emitter.on,
+        off: emitter.off,
+        get sample() { return latest; },
+    };
+
+    return api;
+}
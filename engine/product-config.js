@@ -0,0 +1,199 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Product Config
+   Loads and validates the JSON a product page is generated
+   from (see product-page.js and products/antigravity.json).
+   Validation collects every problem, with its path, rather
+   than stopping at the first.
+
+   { "name", "logo", "title", "description",
+     "frames": { "manifest", "path", "count" },
+     "loadingMessages": ["…"],
+     "hero": { "id", "eyebrow", "titleLines": ["…"], "subtitle", "scrollHint", "sequence", "tint" },
+     "sections": [{ "type": "showcase" | "features" | "specs" | "cta", "id", "nav", "tag",
+                    "title": ["line", "emphasised last line"], "sequence", "tint", … }],
+     "footer": { "copy" } }
+
+   sequence: { "start": 0, "end": 30 } scrubs, { "hold": 110 } pins
+   ═══════════════════════════════════════════════════════════ */
+
+/* ── Schema ────────────────────────────────────────────── */
+// Field types; a trailing '?' makes a field optional, [schema] is a
+// non-empty array of it, and a plain object is a nested record
+// (optional when it has '?': true).
+const TYPES = {
+    text: (v) => typeof v === 'string' && v.trim() !== '',
+    number: (v) => typeof v === 'number' && Number.isFinite(v),
+    count: (v) => Number.isInteger(v) && v > 0,
+    id: (v) => typeof v === 'string' && /^[a-z][a-z0-9-]*$/.test(v),
+    url: (v) => typeof v === 'string' && v.trim() !== '' && !/^\s*javascript:/i.test(v),
+    tint: (v) => typeof v === 'string' && /^#[0-9a-f]{6}(\s+[\d.]+)?$/i.test(v.trim()),
+    lines: (v) => Array.isArray(v) && v.length > 0 && v.every((line) => TYPES.text(line)),
+    sequence: (v) => !!v && typeof v === 'object' && (
+        TYPES.number(v.hold) || (TYPES.number(v.start) && TYPES.number(v.end))
+    ),
+};
+
+const EXPECTED = {
+    text: 'non-empty text',
+    number: 'a number',
+    count: 'a positive whole number',
+    id: 'an id (lowercase letters, digits, dashes)',
+    url: 'a URL',
+    tint: '"#rrggbb" or "#rrggbb alpha"',
+    lines: 'a non-empty array of text lines',
+    sequence: '{ "start", "end" } or { "hold" }',
+};
+
+const SECTION_FIELDS = {
+    id: 'id',
+    nav: 'text?',
+    tag: 'text',
+    sequence: 'sequence',
+    tint: 'tint?',
+};
+
+const SECTION_TYPES = {
+    showcase: {
+        ...SECTION_FIELDS,
+        title: 'lines',
+        cards: [{ title: 'text', text: 'text', size: 'text?', stat: { value: 'text', label: 'text', '?': true } }],
+    },
+    features: {
+        ...SECTION_FIELDS,
+        title: 'lines',
+        cards: [{ icon: 'text', title: 'text', text: 'text' }],
+    },
+    specs: {
+        ...SECTION_FIELDS,
+        title: 'lines',
+        specs: [{ value: 'text', unit: 'text?', label: 'text' }],
+    },
+    cta: {
+        ...SECTION_FIELDS,
+        title: 'lines',
+        text: 'text',
+        button: { label: 'text', href: 'url' },
+        price: 'text',
+        priceNote: 'text?',
+    },
+};
+
+const PRODUCT = {
+    name: 'text',
+    logo: 'text',
+    title: 'text',
+    description: 'text?',
+    frames: { manifest: 'url', path: 'url', count: 'count' },
+    loadingMessages: ['text'],
+    hero: {
+        id: 'id',
+        eyebrow: 'text',
+        titleLines: 'lines',
+        subtitle: 'text',
+        scrollHint: 'text?',
+        sequence: 'sequence',
+        tint: 'tint?',
+    },
+    footer: { copy: 'text' },
+};
+
+/* ── Walk a value against a schema ─────────────────────── */
+function check(schema, value, path, problems) {
+    const at = path || '(root)';
+
+    if (typeof schema === 'string') {
+        const optional = schema.endsWith('?');
+        const type = optional ? schema.slice(0, -1) : schema;
+        if (value === undefined || value === null) {
+            if (!optional) problems.push(`${at}: missing (expected ${EXPECTED[type]})`);
+        } else if (!TYPES[type](value)) {
+            problems.push(`${at}: expected ${EXPECTED[type]}, got ${JSON.stringify(value)}`);
+        }
+        return;
+    }
+
+    if (Array.isArray(schema)) {
+        if (value === undefined || value === null) problems.push(`${at}: missing (expected a non-empty list)`);
+        else if (!Array.isArray(value) || !value.length) problems.push(`${at}: expected a non-empty list`);
+        else value.forEach((item, i) => check(schema[0], item, `${path}[${i}]`, problems));
+        return;
+    }
+
+    if (value === undefined || value === null) {
+        if (!schema['?']) problems.push(`${at}: missing (expected an object)`);
+        return;
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        problems.push(`${at}: expected an object`);
+        return;
+    }
+    Object.keys(schema).forEach((key) => {
+        if (key !== '?') check(schema[key], value[key], path ? `${path}.${key}` : key, problems);
+    });
+}
+
+// Frames a sequence spec refers to must exist (once frames.count itself is valid)
+function checkSequence(sequence, path, frameCount, problems) {
+    if (!TYPES.sequence(sequence) || !TYPES.count(frameCount)) return;
+    const frames = TYPES.number(sequence.hold) ? [sequence.hold] : [sequence.start, sequence.end];
+    frames.forEach((frame) => {
+        if (frame < 0 || frame > frameCount - 1) {
+            problems.push(`${path}.sequence: frame ${frame} is outside 0–${frameCount - 1} (frames.count)`);
+        }
+    });
+}
+
+/**
+ * Check a product config; throws a TypeError listing every problem
+ * (also on `err.problems`). Returns the config unchanged when valid.
+ */
+export function validateProduct(product) {
+    const problems = [];
+    check(PRODUCT, product, '', problems);
+
+    if (product && typeof product === 'object') {
+        const frameCount = product.frames && product.frames.count;
+        if (product.hero) checkSequence(product.hero.sequence, 'hero', frameCount, problems);
+
+        const sections = product.sections;
+        if (!Array.isArray(sections) || !sections.length) {
+            problems.push('sections: missing (expected a non-empty list)');
+        } else {
+            sections.forEach((section, i) => {
+                const path = `sections[${i}]`;
+                const schema = section && SECTION_TYPES[section.type];
+                if (!schema) {
+                    problems.push(`${path}.type: expected one of ${Object.keys(SECTION_TYPES).join(', ')}, ` +
+                        `got ${JSON.stringify(section && section.type)}`);
+                    return;
+                }
+                check(schema, section, path, problems);
+                checkSequence(section.sequence, path, frameCount, problems);
+            });
+        }
+
+        // Ids become element ids and nav hashes
+        const seen = new Set();
+        [product.hero, ...(Array.isArray(sections) ? sections : [])].forEach((s) => {
+            if (!s || !TYPES.id(s.id)) return;
+            if (seen.has(s.id)) problems.push(`id "${s.id}" is used more than once`);
+            seen.add(s.id);
+        });
+    }
+
+    if (problems.length) {
+        const err = new TypeError(`Invalid product config (${problems.length} problem${problems.length > 1 ? 's' : ''}):\n  ` +
+            problems.join('\n  '));
+        err.problems = problems;
+        throw err;
+    }
+    return product;
+}
+
+/* ── Fetch + validate ──────────────────────────────────── */
+export async function loadProduct(url) {
+    const href = new URL(url, document.baseURI).href;
+    const response = await fetch(href);
+    if (!response.ok) throw new Error(`Product config ${href}: HTTP ${response.status}`);
+    return validateProduct(await response.json());
+}
@@ -0,0 +1,172 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Product Page Renderer
+   Builds the nav links, sections and footer from a validated
+   product config (product-config.js). The markup matches what
+   the stylesheet, scroll ranges and reveals expect: sections
+   carry data-sequence-* and data-sequence-tint, and headers
+   and cards are .reveal-up.
+
+   Copy is set as text, never parsed as HTML. A title's last
+   line is emphasised: ["Engineered", "Beyond Limits"] →
+   Engineered<br><em>Beyond Limits</em>
+   ═══════════════════════════════════════════════════════════ */
+
+/* ── Element helper ────────────────────────────────────── */
+// h('p', { class: 'x', 'data-y': 1 }, 'text', childEl, …); null children are skipped
+function h(tag, attrs, ...children) {
+    const el = document.createElement(tag);
+    Object.keys(attrs || {}).forEach((name) => {
+        if (attrs[name] !== null && attrs[name] !== undefined) el.setAttribute(name, attrs[name]);
+    });
+    children.forEach((child) => {
+        if (child === null || child === undefined) return;
+        el.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    });
+    return el;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+function titleLines(tag, className, lines) {
+    const el = h(tag, { class: className });
+    lines.forEach((line, i) => {
+        const last = i === lines.length - 1;
+        if (i > 0) el.appendChild(h('br'));
+        el.appendChild(last && lines.length > 1 ? h('em', null, line) : document.createTextNode(line));
+    });
+    return el;
+}
+
+function sequenceAttrs(sequence, tint) {
+    const attrs = { 'data-sequence-tint': tint };
+    if (typeof sequence.hold === 'number') {
+        attrs['data-sequence-hold'] = sequence.hold;
+    } else {
+        attrs['data-sequence-start'] = sequence.start;
+        attrs['data-sequence-end'] = sequence.end;
+    }
+    return attrs;
+}
+
+function sectionHeader(section) {
+    return h('div', { class: 'section-header reveal-up' },
+        h('span', { class: 'section-tag' }, section.tag),
+        titleLines('h2', 'section-title', section.title));
+}
+
+/* ── Sections ──────────────────────────────────────────── */
+function renderHero(hero) {
+    return h('section', { id: hero.id, class: 'hero-section', ...sequenceAttrs(hero.sequence, hero.tint) },
+        h('div', { class: 'hero-overlay' },
+            h('div', { class: 'hero-content' },
+                h('p', { class: 'hero-eyebrow' }, hero.eyebrow),
+                h('h1', { class: 'hero-title' },
+                    ...hero.titleLines.map((line, i) => h('span', { class: `title-line title-line--${i + 1}` }, line))),
+                h('p', { class: 'hero-subtitle' }, hero.subtitle),
+                hero.scrollHint ? h('div', {
+                    class: 'hero-scroll-hint',
+                    'data-timeline': '0% { opacity: 1 } 100% { opacity: 0 }',
+                    'data-timeline-range': '0 240',
+                }, h('div', { class: 'scroll-line' }), h('span', null, hero.scrollHint)) : null)));
+}
+
+const RENDERERS = {
+    showcase: (section) => h('div', { class: 'section-inner' },
+        sectionHeader(section),
+        h('div', { class: 'showcase-grid' }, ...section.cards.map((card, i) => h('div', {
+            class: `glass-card glass-card--${card.size || (i === 0 ? 'lg' : 'sm')} reveal-up`,
+            id: `card-${section.id}-${i + 1}`,
+        },
+        h('div', { class: 'card-glow' }),
+        h('div', { class: 'card-number' }, pad(i + 1)),
+        h('h3', { class: 'card-title' }, card.title),
+        h('p', { class: 'card-text' }, card.text),
+        card.stat ? h('div', { class: 'card-stat' },
+            h('span', { class: 'stat-value' }, card.stat.value),
+            h('span', { class: 'stat-label' }, card.stat.label)) : null)))),
+
+    features: (section) => h('div', { class: 'section-inner' },
+        sectionHeader(section),
+        h('div', { class: 'features-grid' }, ...section.cards.map((card, i) => h('div', {
+            class: 'glass-card feature-card reveal-up',
+            id: `card-${section.id}-${i + 1}`,
+        },
+        h('div', { class: 'card-glow' }),
+        h('div', { class: 'feature-icon' }, card.icon),
+        h('h3', { class: 'card-title' }, card.title),
+        h('p', { class: 'card-text' }, card.text))))),
+
+    specs: (section) => h('div', { class: 'section-inner' },
+        sectionHeader(section),
+        h('div', { class: 'specs-grid reveal-up' }, ...section.specs.map((spec, i) => h('div', {
+            class: 'glass-card spec-card',
+            id: `${section.id}-${i + 1}`,
+        },
+        h('div', { class: 'card-glow' }),
+        h('div', { class: 'spec-value' }, spec.value, spec.unit ? h('span', { class: 'spec-unit' }, spec.unit) : null),
+        h('div', { class: 'spec-label' }, spec.label))))),
+
+    cta: (section) => h('div', { class: 'section-inner' },
+        h('div', { class: 'cta-content reveal-up' },
+            h('span', { class: 'section-tag' }, section.tag),
+            titleLines('h2', 'cta-title', section.title),
+            h('p', { class: 'cta-text' }, section.text),
+            h('a', { href: section.button.href, class: 'cta-button', id: `${section.id}-button` },
+                h('span', { class: 'btn-text' }, section.button.label),
+                h('span', { class: 'btn-glow' })),
+            h('p', { class: 'cta-price' }, `${section.price} `,
+                section.priceNote ? h('span', { class: 'price-note' }, section.priceNote) : null))),
+};
+
+function renderSection(section) {
+    return h('section', {
+        id: section.id,
+        class: `content-section ${section.type}-section`,
+        ...sequenceAttrs(section.sequence, section.tint),
+    }, RENDERERS[section.type](section));
+}
+
+/**
+ * Fill the page from a validated product config.
+ * @param {object} product
+ * @param {{ content: Element, navLinks?: Element, logo?: Element }} targets
+ *        content: #smooth-content (replaced); navLinks: .nav-links (replaced); logo: .nav-logo
+ */
+export function renderProduct(product, { content, navLinks = null, logo = null }) {
+    document.title = product.title;
+    if (product.description) {
+        const meta = document.querySelector('meta[name="description"]') ||
+            document.head.appendChild(h('meta', { name: 'description' }));
+        meta.setAttribute('content', product.description);
+    }
+
+    if (logo) {
+        logo.replaceChildren(
+            h('span', { class: 'logo-icon' }, product.logo),
+            h('span', { class: 'logo-text' }, product.name));
+    }
+
+    if (navLinks) {
+        navLinks.replaceChildren(...product.sections.filter((s) => s.nav).map((s) => h('a', {
+            href: `#${s.id}`,
+            class: s.type === 'cta' ? 'nav-link nav-link--cta' : 'nav-link',
+        }, s.nav)));
+    }
+
+    content.replaceChildren(
+        renderHero(product.hero),
+        ...product.sections.map(renderSection),
+        h('footer', { class: 'site-footer' },
+            h('div', { class: 'footer-inner' },
+                h('span', { class: 'footer-logo' }, `${product.logo} ${product.name}`),
+                h('span', { class: 'footer-copy' }, product.footer.copy))));
+}
+
+/* ── Invalid config: say what's wrong instead of a blank page ── */
+export function renderConfigError(err, { content }) {
+    const problems = err.problems || [err.message];
+    content.replaceChildren(h('section', { class: 'content-section config-error', role: 'alert' },
+        h('div', { class: 'section-inner' },
+            h('h2', { class: 'section-title' }, 'Product config error'),
+            h('ul', null, ...problems.map((problem) => h('li', null, h('code', null, problem)))))));
+}
@@ -0,0 +1,123 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Quality Governor
+   Steps through quality tiers from the frame times it is fed:
+   down after sustained slow frames, back up after a longer run
+   of fast ones. The tier is a class on <html> (quality-<name>)
+   so CSS can drop expensive effects along with the JS ones.
+   ═══════════════════════════════════════════════════════════ */
+
+import { createEmitter } from './emitter.js';
+
+const DEFAULTS = {
+    tiers: ['high', 'medium', 'low'],  // Best first
+    initial: 0,
+    targetFps: 60,
+    downThreshold: 1.4,        // Average frame time above budget × this is slow
+    upThreshold: 1.1,          // …below budget × this is fast
+    downAfter: 2000,           // ms of slow frames before stepping down
+    upAfter: 8000,             // ms of fast frames before stepping up (doubles when a step up doesn't hold)
+    maxUpAfter: 60000,
+    settle: 1000,              // ms ignored after a change (resizes and re-decodes are janky)
+    root: null,                // Element for the class; defaults to <html>
+    classPrefix: 'quality-',
+};
+
+/**
+ * Events:
+ *   'change' { tier, index, previous, reason }   reason: 'slow' | 'fast' | 'manual'
+ *
+ * @param {object} options  See DEFAULTS
+ * @returns {{ sample: Function, set: Function, destroy: Function, on: Function, off: Function }}
+ */
+export function createQualityGovernor(options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const { tiers } = opts;
+
+    if (!tiers.length) throw new TypeError('createQualityGovernor: `tiers` must not be empty');
+
+    const emitter = createEmitter();
+    const root = opts.root || document.documentElement;
+    const budget = 1000 / opts.targetFps;
+
+    let index = Math.min(Math.max(opts.initial, 0), tiers.length - 1);
+    let average = budget;                          // Moving average frame time (ms)
+    let slowFor = 0;
+    let fastFor = 0;
+    let settleFor = opts.settle;
+    let upAfter = opts.upAfter;
+    let clock = 0;                                 // ms of sampled frames
+    let steppedUpAt = -Infinity;
+
+    root.classList.add(opts.classPrefix + tiers[index]);
+
+    function apply(next, reason) {
+        if (next === index) return;
+        const previous = tiers[index];
+        root.classList.remove(opts.classPrefix + previous);
+        index = next;
+        root.classList.add(opts.classPrefix + tiers[index]);
+
+        average = budget;
+        slowFor = fastFor = 0;
+        settleFor = opts.settle;
+        emitter.emit('change', { tier: tiers[index], index, previous, reason });
+    }
+
+    /**
+     * Feed one frame's duration (seconds, as the ticker passes it).
+     * @param {number} dt
+     */
+    function sample(dt) {
+        const ms = dt * 1000;
+        clock += ms;
+        if (settleFor > 0) {
+            settleFor -= ms;
+            return;
+        }
+
+        average += (ms - average) * 0.1;
+        if (average > budget * opts.downThreshold) {
+            slowFor += ms;
+            fastFor = 0;
+        } else if (average < budget * opts.upThreshold) {
+            fastFor += ms;
+            slowFor = 0;
+        } else {
+            slowFor = fastFor = 0;
+        }
+
+        if (slowFor >= opts.downAfter && index < tiers.length - 1) {
+            // The last step up didn't hold: wait longer before trying again
+            if (clock - steppedUpAt < upAfter * 2) upAfter = Math.min(upAfter * 2, opts.maxUpAfter);
+            apply(index + 1, 'slow');
+        } else if (fastFor >= upAfter && index > 0) {
+            steppedUpAt = clock;
+            apply(index - 1, 'fast');
+        }
+    }
+
+    /** Force a tier by name or index. */
+    function set(tier) {
+        const next = typeof tier === 'number' ? tier : tiers.indexOf(tier);
+        if (next < 0 || next >= tiers.length) throw new TypeError(`Unknown quality tier "${tier}"`);
+        apply(next, 'manual');
+        return api;
+    }
+
+    function destroy() {
+        root.classList.remove(opts.classPrefix + tiers[index]);
+        emitter.clear();
+    }
+
+    const api = {
+        sample,
+        set,
+        destroy,
+        on: emitter.on,
+        off: emitter.off,
+        get tier() { return tiers[index]; },
+        get index() { return index; },
+    };
+
+    return api;
+}
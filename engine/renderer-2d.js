@@ -0,0 +1,85 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — 2D Canvas Renderer
+   Paints into an offscreen buffer and blits it, so a half-drawn
+   crossfade is never on screen. Supports the scale, tint and
+   vignette effects; chromatic aberration is WebGL-only.
+   ═══════════════════════════════════════════════════════════ */
+
+import { coverFit } from './math.js';
+import { drawFrame } from './frame-atlas.js';
+
+export function createCanvas2DRenderer(canvas, { background = '#000' } = {}) {
+    const ctx = canvas.getContext('2d', { alpha: false });
+    if (!ctx) return null;
+
+    let offscreen = null;
+    let offCtx = null;
+    let pw = 0;
+    let ph = 0;
+    let vignette = null;                          // { strength, gradient } for the current size
+
+    function resize(width, height) {
+        pw = width;
+        ph = height;
+        offscreen = document.createElement('canvas');
+        offscreen.width = pw;
+        offscreen.height = ph;
+        offCtx = offscreen.getContext('2d', { alpha: false });
+        vignette = null;
+    }
+
+    // Cover-fit, zoomed around the centre by `scale`
+    function drawCover(frame, scale) {
+        const iw = frame.width || frame.naturalWidth;
+        const ih = frame.height || frame.naturalHeight;
+        const { dx, dy, dw, dh } = coverFit(iw, ih, pw * scale, ph * scale);
+        drawFrame(offCtx, frame, dx - (pw * scale - pw) / 2, dy - (ph * scale - ph) / 2, dw, dh);
+    }
+
+    function drawVignette(strength) {
+        if (!vignette || vignette.strength !== strength) {
+            const gradient = offCtx.createRadialGradient(pw / 2, ph / 2, Math.min(pw, ph) * 0.3, pw / 2, ph / 2, Math.hypot(pw, ph) / 2);
+            gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+            gradient.addColorStop(1, `rgba(0, 0, 0, ${strength})`);
+            vignette = { strength, gradient };
+        }
+        offCtx.fillStyle = vignette.gradient;
+        offCtx.fillRect(0, 0, pw, ph);
+    }
+
+    function draw(frame, next, mix, effects) {
+        if (!offCtx) return;
+        const fx = effects || {};
+        const scale = fx.scale || 1;
+
+        offCtx.fillStyle = background;
+        offCtx.fillRect(0, 0, pw, ph);
+        drawCover(frame, scale);
+        if (next && mix > 0) {
+            offCtx.globalAlpha = mix;
+            drawCover(next, scale);
+            offCtx.globalAlpha = 1;
+        }
+
+        if (fx.tint && fx.tint[3] > 0) {
+            const [r, g, b, a] = fx.tint;
+            offCtx.fillStyle = `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${a})`;
+            offCtx.fillRect(0, 0, pw, ph);
+        }
+        if (fx.vignette > 0) drawVignette(fx.vignette);
+
+        ctx.drawImage(offscreen, 0, 0);
+    }
+
+    function destroy() {
+        offscreen = offCtx = vignette = null;
+    }
+
+    return {
+        type: '2d',
+        resize,
+        draw,
+        release() { },
+        destroy,
+    };
+}
@@ -0,0 +1,277 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — WebGL Renderer
+   Frames are uploaded as textures and drawn in one full-screen
+   pass: cover-fit, crossfade and the scroll effects (scale,
+   chromatic aberration, tint, vignette) all happen in the shader
+   ═══════════════════════════════════════════════════════════ */
+
+import { isFrameView } from './frame-atlas.js';
+
+const VERTEX_SHADER = `
+attribute vec2 a_position;
+varying vec2 v_uv;
+
+void main() {
+    v_uv = vec2(a_position.x * 0.5 + 0.5, 0.5 - a_position.y * 0.5);
+    gl_Position = vec4(a_position, 0.0, 1.0);
+}`;
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+
+varying vec2 v_uv;
+uniform sampler2D u_frame;
+uniform sampler2D u_next;
+uniform vec4 u_rect;        // Frame's rect in its texture (atlas sheets): x, y, w, h in 0–1
+uniform vec4 u_nextRect;
+uniform vec2 u_cover;       // Share of the frame visible along x, y after cover-fit
+uniform float u_mix;
+uniform float u_scale;
+uniform float u_aberration;
+uniform float u_vignette;
+uniform vec4 u_tint;
+
+vec2 frameUv(vec2 uv, vec4 rect) {
+    vec2 p = (uv - 0.5) / u_scale * u_cover + 0.5;
+    return rect.xy + clamp(p, 0.0, 1.0) * rect.zw;    // never sample a neighbouring atlas frame
+}
+
+vec3 sampleFrame(sampler2D tex, vec4 rect, vec2 uv) {
+    vec2 shift = (uv - 0.5) * u_aberration;
+    return vec3(
+        texture2D(tex, frameUv(uv + shift, rect)).r,
+        texture2D(tex, frameUv(uv, rect)).g,
+        texture2D(tex, frameUv(uv - shift, rect)).b
+    );
+}
+
+void main() {
+    vec3 color = sampleFrame(u_frame, u_rect, v_uv);
+    if (u_mix > 0.0) color = mix(color, sampleFrame(u_next, u_nextRect, v_uv), u_mix);
+    color = mix(color, u_tint.rgb, u_tint.a);
+    color *= 1.0 - u_vignette * smoothstep(0.3, 0.75, distance(v_uv, vec2(0.5)));
+    gl_FragColor = vec4(color, 1.0);
+}`;
+
+const MAX_TEXTURES = 8;         // Resident GPU copies; frames re-upload when they come back
+const UNIFORMS = ['u_frame', 'u_next', 'u_rect', 'u_nextRect', 'u_cover', 'u_mix', 'u_scale', 'u_aberration', 'u_vignette', 'u_tint'];
+
+function compile(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        const log = gl.getShaderInfoLog(shader);
+        gl.deleteShader(shader);
+        throw new Error(`Shader compile failed: ${log}`);
+    }
+    return shader;
+}
+
+function contextAttributes(allowSoftware) {
+    return {
+        alpha: false,
+        antialias: false,
+        depth: false,
+        premultipliedAlpha: false,
+        preserveDrawingBuffer: false,
+        failIfMajorPerformanceCaveat: !allowSoftware,
+    };
+}
+
+function getContext(canvas, allowSoftware) {
+    try {
+        const gl = canvas.getContext('webgl', contextAttributes(allowSoftware));
+        return gl && typeof gl.createShader === 'function' ? gl : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/* ── Probe on a scratch canvas ─────────────────────────── */
+// A canvas that has handed out a WebGL context can never give a 2D one,
+// so the real canvas is only touched once the shaders are known to compile.
+export function supportsWebGL({ allowSoftware = false } = {}) {
+    if (typeof document === 'undefined') return false;
+    const gl = getContext(document.createElement('canvas'), allowSoftware);
+    if (!gl) return false;
+    try {
+        compile(gl, gl.VERTEX_SHADER, VERTEX_SHADER);
+        compile(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER);
+        return true;
+    } catch (err) {
+        return false;
+    } finally {
+        const lose = gl.getExtension('WEBGL_lose_context');
+        if (lose) lose.loseContext();
+    }
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ allowSoftware?: boolean, onRestored?: Function }} options
+ *        allowSoftware: false refuses software GL (failIfMajorPerformanceCaveat)
+ * @returns {object | null}  null when WebGL is unavailable
+ */
+export function createWebGLRenderer(canvas, { allowSoftware = false, onRestored = null } = {}) {
+    if (!supportsWebGL({ allowSoftware })) return null;
+    const gl = getContext(canvas, allowSoftware);
+    if (!gl) return null;
+
+    let program = null;
+    let uniforms = {};
+    let lost = false;
+    let pw = 0;
+    let ph = 0;
+    const textures = new Map();                   // image → { texture, used }
+    let useCounter = 0;
+
+    function init() {
+        program = gl.createProgram();
+        gl.attachShader(program, compile(gl, gl.VERTEX_SHADER, VERTEX_SHADER));
+        gl.attachShader(program, compile(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`Shader link failed: ${gl.getProgramInfoLog(program)}`);
+        }
+        gl.useProgram(program);
+
+        // Full-screen quad as a triangle strip
+        gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+        const position = gl.getAttribLocation(program, 'a_position');
+        gl.enableVertexAttribArray(position);
+        gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+        uniforms = {};
+        UNIFORMS.forEach((name) => { uniforms[name] = gl.getUniformLocation(program, name); });
+        gl.uniform1i(uniforms.u_frame, 0);
+        gl.uniform1i(uniforms.u_next, 1);
+    }
+
+    try {
+        init();
+    } catch (err) {
+        console.warn('[antigravity] WebGL renderer unavailable', err);
+        return null;
+    }
+
+    /* ── Context loss: drop GPU state, rebuild on restore ── */
+    function onContextLost(e) {
+        e.preventDefault();
+        lost = true;
+        textures.clear();
+    }
+
+    function onContextRestored() {
+        try {
+            init();
+        } catch (err) {
+            console.warn('[antigravity] WebGL restore failed', err);
+            return;
+        }
+        lost = false;
+        if (onRestored) onRestored();
+    }
+
+    canvas.addEventListener('webglcontextlost', onContextLost);
+    canvas.addEventListener('webglcontextrestored', onContextRestored);
+
+    /* ── Textures (atlas views share their sheet's) ─────── */
+    function textureFor(image) {
+        let entry = textures.get(image);
+        if (!entry) {
+            if (textures.size >= MAX_TEXTURES) evictOldest();
+            const texture = gl.createTexture();
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+            entry = { texture, used: 0 };
+            textures.set(image, entry);
+        }
+        entry.used = ++useCounter;
+        return entry.texture;
+    }
+
+    function evictOldest() {
+        let oldest = null;
+        textures.forEach((entry, image) => {
+            if (!oldest || entry.used < textures.get(oldest).used) oldest = image;
+        });
+        if (oldest) release(oldest);
+    }
+
+    function bindFrame(unit, frame, rectUniform) {
+        const image = isFrameView(frame) ? frame.image : frame;
+        gl.activeTexture(unit === 0 ? gl.TEXTURE0 : gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, textureFor(image));
+
+        if (isFrameView(frame)) {
+            const iw = image.width || image.naturalWidth;
+            const ih = image.height || image.naturalHeight;
+            gl.uniform4f(rectUniform, frame.sx / iw, frame.sy / ih, frame.sw / iw, frame.sh / ih);
+        } else {
+            gl.uniform4f(rectUniform, 0, 0, 1, 1);
+        }
+    }
+
+    /* ── Renderer interface ────────────────────────────── */
+    function resize(width, height) {
+        pw = width;
+        ph = height;
+    }
+
+    function draw(frame, next, mix, effects) {
+        if (lost || !pw || !ph) return;
+        const fx = effects || {};
+        const tint = fx.tint || [0, 0, 0, 0];
+
+        // Cover-fit: crop whichever axis overflows
+        const fw = frame.width || frame.naturalWidth;
+        const fh = frame.height || frame.naturalHeight;
+        const canvasAspect = pw / ph;
+        const frameAspect = fw / fh;
+
+        gl.viewport(0, 0, pw, ph);
+        bindFrame(0, frame, uniforms.u_rect);
+        const blend = next && mix > 0 ? mix : 0;
+        if (blend) bindFrame(1, next, uniforms.u_nextRect);
+
+        gl.uniform2f(uniforms.u_cover,
+            canvasAspect > frameAspect ? 1 : canvasAspect / frameAspect,
+            canvasAspect > frameAspect ? frameAspect / canvasAspect : 1);
+        gl.uniform1f(uniforms.u_mix, blend);
+        gl.uniform1f(uniforms.u_scale, fx.scale || 1);
+        gl.uniform1f(uniforms.u_aberration, fx.aberration || 0);
+        gl.uniform1f(uniforms.u_vignette, fx.vignette || 0);
+        gl.uniform4f(uniforms.u_tint, tint[0], tint[1], tint[2], tint[3]);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+
+    // The engine calls this when it frees a frame or sheet
+    function release(image) {
+        const entry = textures.get(image);
+        if (!entry) return;
+        if (!lost) gl.deleteTexture(entry.texture);
+        textures.delete(image);
+    }
+
+    function destroy() {
+        Array.from(textures.keys()).forEach(release);
+        canvas.removeEventListener('webglcontextlost', onContextLost);
+        canvas.removeEventListener('webglcontextrestored', onContextRestored);
+        if (!lost && program) gl.deleteProgram(program);
+        program = null;
+    }
+
+    return {
+        type: 'webgl',
+        resize,
+        draw,
+        release,
+        destroy,
+    };
+}
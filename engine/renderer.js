@@ -0,0 +1,44 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Renderer Selection
+   The sequence draws through a small renderer interface:
+
+     { type: 'webgl' | '2d',
+       resize(width, height),              canvas pixel size
+       draw(frame, next, mix, effects),    next is faded over frame by mix (0–1)
+       release(image),                     the engine freed this image or sheet
+       destroy() }
+
+   effects: { scale, aberration, vignette, tint: [r, g, b, a] }
+   (colour channels 0–1); the 2D renderer ignores aberration.
+   ═══════════════════════════════════════════════════════════ */
+
+import { createCanvas2DRenderer } from './renderer-2d.js';
+import { createWebGLRenderer } from './renderer-webgl.js';
+import { loadError } from './frame-loader.js';
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {{ type?: 'auto' | 'webgl' | '2d', background?: string, onRestored?: Function }} options
+ *        'auto' uses hardware WebGL when available; 'webgl' also accepts software GL.
+ *        Both fall back to 2D. Throws (reason 'unsupported') when the canvas
+ *        gives no context at all.
+ */
+export function createRenderer(canvas, { type = 'auto', background, onRestored } = {}) {
+    if (type !== '2d') {
+        const renderer = createWebGLRenderer(canvas, { allowSoftware: type === 'webgl', onRestored });
+        if (renderer) return renderer;
+        if (type === 'webgl') console.warn('[antigravity] WebGL unavailable, using the 2D canvas renderer');
+    }
+    const renderer = createCanvas2DRenderer(canvas, { background });
+    if (!renderer) throw loadError('unsupported', 'No WebGL or 2D context for the sequence canvas');
+    return renderer;
+}
+
+/* ── "#a855f7 0.12" → [r, g, b, a] for effects.tint ────── */
+export function parseTint(value) {
+    const match = /^#([0-9a-f]{6})(?:\s+([\d.]+))?$/i.exec((value || '').trim());
+    if (!match) return null;
+    const n = parseInt(match[1], 16);
+    const alpha = match[2] !== undefined ? Number(match[2]) : 0.15;
+    return [(n >> 16 & 255) / 255, (n >> 8 & 255) / 255, (n & 255) / 255, Math.min(Math.max(alpha, 0), 1)];
+}
@@ -0,0 +1,105 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Section Scroll Ranges
+   Maps frame sub-ranges onto sections so page layout changes
+   only retime the section that changed
+
+   Markup:
+     <section data-sequence-start="0" data-sequence-end="40">   scrub 0 → 40
+     <section data-sequence-hold="110">                          pin frame 110
+   ═══════════════════════════════════════════════════════════ */
+
+/* ── Read ranges from data attributes ──────────────────── */
+export function readRanges(root = document) {
+    const els = root.querySelectorAll('[data-sequence-start], [data-sequence-hold]');
+    const ranges = [];
+
+    els.forEach((el) => {
+        const { sequenceStart, sequenceEnd, sequenceHold } = el.dataset;
+        const start = Number(sequenceHold !== undefined ? sequenceHold : sequenceStart);
+        const end = Number(sequenceHold !== undefined ? sequenceHold : (sequenceEnd !== undefined ? sequenceEnd : sequenceStart));
+
+        if (!Number.isFinite(start) || !Number.isFinite(end)) {
+            console.warn('[antigravity] ignoring invalid sequence range on', el);
+            return;
+        }
+        ranges.push({ el, start, end });
+    });
+
+    return ranges;
+}
+
+/* ── Document offset (works inside the translated container) ── */
+export function pageTop(el) {
+    let top = 0;
+    for (let node = el; node; node = node.offsetParent) top += node.offsetTop;
+    return top;
+}
+
+/* ── Measure ranges into scroll segments ───────────────── */
+// Each section scrubs from the moment its top reaches the viewport top
+// until its bottom does (clamped to the last reachable scroll position).
+export function measureRanges(ranges, maxScroll) {
+    return ranges
+        .map((r) => {
+            const top = r.el ? pageTop(r.el) : r.top;
+            const height = r.el ? r.el.offsetHeight : r.height;
+            const bottom = Math.max(top, Math.min(top + height, maxScroll));
+            return { el: r.el || null, top, bottom, start: r.start, end: r.end };
+        })
+        .sort((a, b) => a.top - b.top);
+}
+
+/* ── Still frames (reduced motion) ─────────────────────── */
+// Snaps a 0–1 position to one of `stills` evenly spaced points;
+// a single still sits mid-range. 0 leaves it continuous.
+export function snapToStill(t, stills) {
+    if (!(stills > 0)) return t;
+    if (stills === 1) return 0.5;
+    return Math.round(t * (stills - 1)) / (stills - 1);
+}
+
+/* ── Scroll position → fractional frame ────────────────── */
+// Gaps between sections (and the space past the last one) hold the
+// previous section's end frame. With `stills`, each section shows
+// that many fixed frames instead of scrubbing.
+export function frameAtScroll(scrollY, segments, stills = 0) {
+    if (!segments.length) return null;
+
+    let frame = segments[0].start;
+    for (let i = 0; i < segments.length; i++) {
+        const s = segments[i];
+        if (scrollY < s.top) return frame;
+        if (scrollY <= s.bottom) {
+            const t = s.bottom > s.top ? (scrollY - s.top) / (s.bottom - s.top) : 1;
+            return s.start + (s.end - s.start) * snapToStill(t, stills);
+        }
+        frame = s.end;
+    }
+    return frame;
+}
+
+/* ── Fractional frame → scroll position (inverse of frameAtScroll) ── */
+// First section whose range contains the frame; a held frame maps to the
+// middle of its section (its top may still show the previous one's end).
+// null when no section shows it.
+export function scrollAtFrame(frame, segments) {
+    for (let i = 0; i < segments.length; i++) {
+        const s = segments[i];
+        if (frame < Math.min(s.start, s.end) || frame > Math.max(s.start, s.end)) continue;
+        if (s.end === s.start) return (s.top + s.bottom) / 2;
+        return s.top + (s.bottom - s.top) * (frame - s.start) / (s.end - s.start);
+    }
+    return null;
+}
+
+/* ── Section under the viewport top ────────────────────── */
+// { el, index, progress } of the last section whose top has been reached
+export function sectionAtScroll(scrollY, segments) {
+    let index = -1;
+    for (let i = 0; i < segments.length && scrollY >= segments[i].top; i++) index = i;
+    if (index < 0) return null;
+
+    const s = segments[index];
+    const progress = s.bottom > s.top ? Math.min(Math.max((scrollY - s.top) / (s.bottom - s.top), 0), 1) : 1;
+    return { el: s.el, index, progress };
+}
@@ -0,0 +1,907 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Scroll Sequence Engine
+   WebGL or double-buffered 2D canvas, delta-time frame lerp,
+   progressive frame loading, one instance per canvas
+
+   Usage:
+     const seq = createScrollSequence({ canvas, frameCount: 150 });
+     seq.on('ready', () => { ... });
+     seq.start();
+   ═══════════════════════════════════════════════════════════ */
+
+import { createEmitter } from './emitter.js';
+import { addTicker } from './ticker.js';
+import { clamp, lerp } from './math.js';
+import { frameAtScroll, measureRanges, readRanges, scrollAtFrame, sectionAtScroll, snapToStill } from './scroll-ranges.js';
+import { FRAME_STATUS, isBlankImage, loadImageWithRetry, retry } from './frame-loader.js';
+import { createBitmapDecoder, supportsWorkerDecode } from './bitmap-decoder.js';
+import { budgetForDevice, createFrameCache } from './frame-cache.js';
+import { createFrameView, isFrameView } from './frame-atlas.js';
+import { createRenderer } from './renderer.js';
+
+/* ── Defaults ──────────────────────────────────────────── */
+const DEFAULTS = {
+    canvas: null,
+    frameCount: 150,
+    frameUrl: (i) => `./frames/${String(i + 1).padStart(3, '0')}.png`,
+    canvasLerp: 0.14,
+    targetFps: 60,
+    blend: 'none',             // 'none' steps | 'crossfade' between neighbours | 'idle' crossfade only once settling
+    blendBudget: null,         // ms of frame time before blending falls back to stepping; 1.25 × 1000/targetFps
+    preloadRadius: 12,
+    batchLoad: 3,
+    keyframes: 20,             // Evenly-spaced frames requested first
+    loadInterval: 80,          // ms between proximity-load passes
+    minFramesToStart: 25,      // Frames needed before 'ready'
+    retries: 3,                // Extra attempts per frame before it is marked failed
+    retryDelay: 250,           // ms; doubles on every retry
+    frameTimeout: 10000,       // ms per attempt
+    frameSize: null,           // { width, height }; defaults to the first decoded frame
+    detectBlank: true,         // Fail frames that decode fully transparent
+    decode: 'auto',            // 'auto' (worker ImageBitmaps when supported) | 'image'
+    atlas: null,               // { sheets: [url], frames: [{ sheet, x, y, w, h }] } from resolveAtlas()
+    memoryBudget: 'auto',      // Bytes of decoded frames to keep; 'auto' scales with navigator.deviceMemory
+    maxDpr: 2,
+    background: '#06050b',
+    renderer: 'auto',          // 'auto' (hardware WebGL, else 2D) | 'webgl' (software GL too) | '2d'
+    effects: null,             // ({ frame, target, progress, velocity, section }) => { scale, aberration, vignette, tint }
+    trackScroll: true,         // Map scroll position to frames
+    ranges: null,              // Section ranges (array or root to scan); whole page when null
+    sourceFrameCount: null,    // Frame count range indices refer to (half-rate sets); defaults to frameCount
+    stills: 0,                 // 0 scrubs; N shows N fixed frames per section, cut without easing (reduced motion)
+    onlyFrames: null,          // Indices to load (e.g. the cached ones when offline); the rest are skipped
+    getSize: () => ({ width: window.innerWidth, height: window.innerHeight }),
+    preloader: null,           // { root, progress, bar, status } elements
+    loadingMessages: [],
+    messageInterval: 2500,
+};
+
+const BLEND_STEPS = 16;         // Crossfade positions per frame; fewer redraws than every sub-pixel move
+const BLEND_COOLDOWN = 3000;    // ms of stepping after blending blew the frame budget
+
+// Effects only trigger a redraw when one of their values changed
+function sameEffects(a, b) {
+    if (a === b) return true;
+    if (!a || !b) return false;
+    const ta = a.tint || [];
+    const tb = b.tint || [];
+    return a.scale === b.scale && a.aberration === b.aberration && a.vignette === b.vignette &&
+        ta[0] === tb[0] && ta[1] === tb[1] && ta[2] === tb[2] && ta[3] === tb[3];
+}
+
+/**
+ * Create a scroll-scrubbed frame sequence bound to a canvas.
+ *
+ * Events:
+ *   'frame'    { index, target, mix }       a frame was drawn (mix: weight of index + 1 when blending)
+ *   'progress' { loaded, total, ratio }     a frame finished loading
+ *   'ready'    { loaded }                   minFramesToStart frames are loaded (or nothing left to load)
+ *   'frameerror' { index, url, reason, attempts }  a frame failed permanently
+ *   'complete' { loaded, failed, skipped }  every frame has loaded, failed or been skipped
+ *
+ * @param {object} options  See DEFAULTS
+ * @returns {{ start: Function, destroy: Function, seek: Function, scrollFor: Function, refresh: Function,
+ *            retryFrames: Function, setStills: Function, setBlend: Function, setMaxDpr: Function,
+ *            setCanvasLerp: Function, on: Function, off: Function }}
+ */
+export function createScrollSequence(options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const { canvas, frameCount } = opts;
+
+    if (!canvas) throw new TypeError('createScrollSequence: `canvas` is required');
+    if (!(frameCount > 0)) throw new TypeError('createScrollSequence: `frameCount` must be positive');
+
+    const emitter = createEmitter();
+    const ranges = opts.ranges && typeof opts.ranges.querySelectorAll === 'function'
+        ? readRanges(opts.ranges)
+        : opts.ranges;
+    let segments = [];
+    const sourceCount = opts.sourceFrameCount || frameCount;
+    const frameScale = sourceCount > 1 ? (frameCount - 1) / (sourceCount - 1) : 1;
+
+    /* ── State ──────────────────────────────────────────── */
+    const state = {
+        targetProgress: 0,
+        targetFrame: 0,
+        currentFrame: -1,
+        displayedFrame: -1,
+        displayedPosition: -1,                     // Fractional when blending
+    };
+
+    /* ── Blending (crossfade between neighbouring frames) ── */
+    const blendBudget = opts.blendBudget || 1.25 * (1000 / opts.targetFps);
+    let frameTimeAvg = 0;
+    let blendPausedUntil = 0;
+
+    /* ── Canvas ─────────────────────────────────────────── */
+    let renderer = null;
+    let canvasW = 0, canvasH = 0, dpr = 1;
+
+    /* ── Effects (re-evaluated every tick) ───────────────── */
+    let effects = null;
+    let section = null;                            // { el, index, progress } under the viewport top
+
+    /* ── Frame Storage ─────────────────────────────────── */
+    const frames = new Array(frameCount).fill(null);
+    const frameStatus = new Uint8Array(frameCount);
+    let anyFrameReady = false;
+    let isReady = false;
+    let isComplete = false;
+    let framesLoadedCount = 0;
+    const seen = new Uint8Array(frameCount);      // Loaded at least once (eviction resets status)
+    let frameSize = opts.frameSize;
+    const failedFrames = [];
+    let skippedCount = 0;
+    const abort = new AbortController();
+
+    /* ── Load timing (moving averages, ms) ──────────────── */
+    const timing = { loadMs: 0, decodeMs: 0, loads: 0, decodes: 0 };
+
+    if (opts.onlyFrames) {
+        const only = new Set(opts.onlyFrames);
+        for (let i = 0; i < frameCount; i++) {
+            if (!only.has(i)) {
+                frameStatus[i] = FRAME_STATUS.SKIPPED;
+                skippedCount++;
+            }
+        }
+    }
+
+    /* ── Worker decoding (ImageBitmaps sized to the canvas) ── */
+    let decoder = null;
+    let decodeKey = '';                            // Canvas pixel size frames should be decoded at
+    const frameKeys = new Array(frameCount).fill('');
+    const redecoding = new Uint8Array(frameCount);
+
+    /* ── Atlas sheets (many frames per request) ───────── */
+    const atlas = opts.atlas;
+    const sheetCount = atlas ? atlas.sheets.length : 0;
+    const sheetImages = new Array(sheetCount).fill(null);
+    const sheetRefs = new Uint32Array(sheetCount);        // Resident frame views per sheet
+    const sheetLoading = new Uint8Array(sheetCount);
+    const framesBySheet = Array.from({ length: sheetCount }, () => []);
+    if (atlas) atlas.frames.forEach((f, i) => framesBySheet[f.sheet].push(i));
+    // A resident sheet is one memory-budget entry, however many of its frames are in use
+    const sheetKeys = framesBySheet.map((_, sheet) => ({ sheet }));
+
+    /* ── Memory budget ─────────────────────────────────── */
+    const cache = createFrameCache({
+        budget: opts.memoryBudget === 'auto'
+            ? budgetForDevice(typeof navigator !== 'undefined' && navigator.deviceMemory)
+            : opts.memoryBudget,
+    });
+
+    /* ── Lifecycle ─────────────────────────────────────── */
+    let started = false;
+    let destroyed = false;
+    let stopTicker = null;
+    let preloadTimer = null;
+    let msgTimer = null;
+    let hideTimer = null;
+    let resizeTimer = null;
+    let msgIndex = 0;
+
+    /* ── Load a single frame ───────────────────────────── */
+    function loadFrame(index) {
+        if (frameStatus[index] !== FRAME_STATUS.IDLE) return;
+        if (atlas) return loadSheet(atlas.frames[index].sheet);
+        frameStatus[index] = FRAME_STATUS.LOADING;
+
+        const url = opts.frameUrl(index);
+        const key = decodeKey;
+        fetchFrame(url, key, opts.detectBlank).then(({ image, width: w, height: h, probed }) => {
+            if (destroyed) return releaseImage(image);
+
+            if (frameSize && (w !== frameSize.width || h !== frameSize.height)) {
+                releaseImage(image);
+                failFrame(index, url, 'size', 1, `decoded ${w}×${h}, expected ${frameSize.width}×${frameSize.height}`);
+                return;
+            }
+            // Worker frames were probed off the main thread
+            if (opts.detectBlank && !probed && isBlankImage(image)) {
+                releaseImage(image);
+                failFrame(index, url, 'blank', 1, 'decoded fully transparent');
+                return;
+            }
+            if (!frameSize) frameSize = { width: w, height: h };
+
+            storeFrame(index, image, key);
+            frameStatus[index] = FRAME_STATUS.LOADED;
+            if (!seen[index]) {
+                seen[index] = 1;
+                onFrameReady(index);
+            }
+            evictFarFrames();
+        }, (err) => {
+            if (destroyed) return;
+            if (err.reason === 'unsupported') {
+                // Worker died: start this frame over on the Image path
+                if (decoder) decoder.destroy();
+                decoder = null;
+                frameStatus[index] = FRAME_STATUS.IDLE;
+                loadFrame(index);
+                return;
+            }
+            failFrame(index, url, err.reason, err.attempts, err.message);
+        });
+    }
+
+    /* ── Load an atlas sheet; fills every waiting frame on it ── */
+    function loadSheet(sheet) {
+        // Sheet still resident: no request needed
+        if (sheetImages[sheet]) {
+            attachSheet(sheet, FRAME_STATUS.IDLE);
+            evictFarFrames();
+            return;
+        }
+        if (sheetLoading[sheet]) return;
+        sheetLoading[sheet] = 1;
+        framesBySheet[sheet].forEach((i) => {
+            if (frameStatus[i] === FRAME_STATUS.IDLE) frameStatus[i] = FRAME_STATUS.LOADING;
+        });
+
+        // Sheets are decoded at full size; frame rects are in sheet pixels
+        const url = atlas.sheets[sheet];
+        fetchFrame(url, '').then(({ image }) => {
+            sheetLoading[sheet] = 0;
+            if (destroyed) return releaseImage(image);
+            sheetImages[sheet] = image;
+            const indices = framesBySheet[sheet];
+            cache.add(sheetKeys[sheet], image, [Math.min(...indices), Math.max(...indices)]);
+            attachSheet(sheet, FRAME_STATUS.LOADING);
+            evictFarFrames();
+        }, (err) => {
+            sheetLoading[sheet] = 0;
+            if (destroyed) return;
+            const waiting = framesBySheet[sheet].filter((i) => frameStatus[i] === FRAME_STATUS.LOADING);
+            if (err.reason === 'unsupported') {
+                if (decoder) decoder.destroy();
+                decoder = null;
+                waiting.forEach((i) => { frameStatus[i] = FRAME_STATUS.IDLE; });
+                loadSheet(sheet);
+                return;
+            }
+            waiting.forEach((i) => failFrame(i, url, err.reason, err.attempts, err.message));
+        });
+    }
+
+    function attachSheet(sheet, fromStatus) {
+        const image = sheetImages[sheet];
+        framesBySheet[sheet].forEach((i) => {
+            if (frameStatus[i] !== fromStatus) return;
+            storeFrame(i, createFrameView(sheet, image, atlas.frames[i]), '');
+            frameStatus[i] = FRAME_STATUS.LOADED;
+            if (!seen[i]) {
+                seen[i] = 1;
+                onFrameReady(i);
+            }
+        });
+    }
+
+    /* ── Fetch + decode: worker ImageBitmap, or Image fallback ── */
+    // Resolves with the drawable and the frame's source dimensions;
+    // `probed` when the worker already checked it for transparency.
+    function fetchFrame(url, key, detectBlank = false) {
+        const retryOpts = { retries: opts.retries, retryDelay: opts.retryDelay, signal: abort.signal };
+        const startedAt = performance.now();
+
+        if (decoder && !decoder.failed) {
+            // Another frame can drop `decoder` during a backoff; a dead
+            // worker rejects 'unsupported' and the frame moves to Image
+            const worker = decoder;
+            const [width, height] = key ? key.split('x').map(Number) : [0, 0];
+            return retry(() => worker.decode(url, {
+                width,
+                height,
+                detectBlank,
+                timeout: opts.frameTimeout,
+                signal: abort.signal,
+            }), retryOpts).then((data) => {
+                recordTiming(startedAt, data.decodeTime);
+                return { image: data.bitmap, width: data.sourceWidth, height: data.sourceHeight, probed: detectBlank };
+            });
+        }
+
+        return loadImageWithRetry(url, { ...retryOpts, timeout: opts.frameTimeout }).then((img) => {
+            recordTiming(startedAt, null);
+            return {
+                image: img,
+                width: img.naturalWidth || img.width,
+                height: img.naturalHeight || img.height,
+            };
+        });
+    }
+
+    // The Image path decodes inside onload, so only the worker reports decode time
+    function recordTiming(startedAt, decodeTime) {
+        const average = (avg, value, n) => avg + (value - avg) / Math.min(n, 20);
+        timing.loadMs = average(timing.loadMs, performance.now() - startedAt, ++timing.loads);
+        if (Number.isFinite(decodeTime)) timing.decodeMs = average(timing.decodeMs, decodeTime, ++timing.decodes);
+    }
+
+    /* ── Snapshot for the perf monitor ─────────────────── */
+    function getStats() {
+        const counts = [0, 0, 0, 0, 0];
+        for (let i = 0; i < frameCount; i++) counts[frameStatus[i]]++;
+        return {
+            frame: state.displayedFrame,
+            target: state.targetFrame,
+            total: frameCount,
+            loaded: counts[FRAME_STATUS.LOADED],
+            pending: counts[FRAME_STATUS.IDLE] + counts[FRAME_STATUS.LOADING],
+            loading: counts[FRAME_STATUS.LOADING],
+            failed: counts[FRAME_STATUS.FAILED],
+            skipped: counts[FRAME_STATUS.SKIPPED],
+            loadMs: timing.loads ? timing.loadMs : null,
+            decodeMs: timing.decodes ? timing.decodeMs : null,
+            memory: cache.bytes,
+            memoryBudget: cache.budget,
+            renderer: renderer ? renderer.type : null,
+            blending: api.blending,
+        };
+    }
+
+    /* ── Re-decode a loaded frame at the current canvas size ── */
+    function isStale(index) {
+        return decoder !== null && !atlas && frameStatus[index] === FRAME_STATUS.LOADED &&
+            frameKeys[index] !== decodeKey && !redecoding[index];
+    }
+
+    function redecodeFrame(index) {
+        redecoding[index] = 1;
+        const key = decodeKey;
+
+        fetchFrame(opts.frameUrl(index), key).then(({ image }) => {
+            redecoding[index] = 0;
+            // Evicted (or destroyed) while re-decoding
+            if (destroyed || frameStatus[index] !== FRAME_STATUS.LOADED) return releaseImage(image);
+            releaseImage(frames[index]);
+            storeFrame(index, image, key);
+            if (index === state.displayedFrame) invalidateCanvas();
+            evictFarFrames();
+        }, () => {
+            // Keep the old bitmap; drawImage scales it
+            redecoding[index] = 0;
+            frameKeys[index] = key;
+        });
+    }
+
+    // Atlas views are budgeted through their sheet (added when it loads)
+    function storeFrame(index, image, key) {
+        if (isFrameView(image)) sheetRefs[image.sheet]++;
+        else cache.add(index, image);
+        frames[index] = image;
+        frameKeys[index] = key;
+    }
+
+    function cacheKey(index) {
+        return atlas ? sheetKeys[atlas.frames[index].sheet] : index;
+    }
+
+    /* ── Eviction: drop frames far from the playhead; they reload on demand ── */
+    // A sheet only frees memory with its last view, so sheets go as a whole
+    function evictFarFrames() {
+        const victims = cache.victims(state.targetFrame, opts.preloadRadius);
+        for (let i = 0; i < victims.length; i++) {
+            const indices = atlas ? framesBySheet[victims[i].sheet] : [victims[i]];
+            if (indices.includes(state.displayedFrame)) continue;
+            indices.forEach(evictFrame);
+        }
+        if (victims.length) schedulePreload();
+    }
+
+    function evictFrame(index) {
+        if (!frames[index]) return;
+        releaseImage(frames[index]);
+        frames[index] = null;
+        frameKeys[index] = '';
+        if (!atlas) cache.remove(index);
+        frameStatus[index] = FRAME_STATUS.IDLE;
+    }
+
+    // Atlas views free their sheet once the last view on it is gone
+    function releaseImage(image) {
+        if (isFrameView(image)) {
+            const sheet = image.sheet;
+            if (--sheetRefs[sheet] > 0) return;
+            image = sheetImages[sheet];
+            sheetImages[sheet] = null;
+            cache.remove(sheetKeys[sheet]);
+        }
+        if (image && renderer) renderer.release(image);
+        if (image && typeof image.close === 'function') image.close();
+    }
+
+    function requestFrame(index) {
+        if (frameStatus[index] === FRAME_STATUS.IDLE) {
+            loadFrame(index);
+            return true;
+        }
+        if (isStale(index)) {
+            redecodeFrame(index);
+            return true;
+        }
+        return false;
+    }
+
+    /* ── Permanent failure: drawToCanvas falls back to the nearest good frame ── */
+    function failFrame(index, url, reason, attempts, message) {
+        frameStatus[index] = FRAME_STATUS.FAILED;
+        failedFrames.push({ index, url, reason, attempts, message });
+        emitter.emit('frameerror', { index, url, reason, attempts });
+        checkReady();
+        checkComplete();
+    }
+
+    function onFrameReady(index) {
+        framesLoadedCount++;
+        updatePreloader();
+        emitter.emit('progress', {
+            loaded: framesLoadedCount,
+            total: frameCount,
+            ratio: framesLoadedCount / frameCount,
+        });
+
+        if (!anyFrameReady) {
+            anyFrameReady = true;
+            resizeCanvas();
+            drawToCanvas(index);
+        }
+
+        checkReady();
+        checkComplete();
+    }
+
+    // Failed and skipped frames lower the bar so a broken or partial set still starts
+    function readyTarget() {
+        return Math.max(Math.min(opts.minFramesToStart, frameCount - failedFrames.length - skippedCount), 1);
+    }
+
+    function settled() {
+        return framesLoadedCount + failedFrames.length + skippedCount >= frameCount;
+    }
+
+    function checkReady() {
+        // Nothing left to wait for: start with whatever loaded rather than hang the preloader
+        if (isReady || (framesLoadedCount < readyTarget() && !settled())) return;
+        isReady = true;
+        updatePreloader();
+        emitter.emit('ready', { loaded: framesLoadedCount });
+    }
+
+    function checkComplete() {
+        if (isComplete || !settled()) return;
+        isComplete = true;
+
+        const failed = failedFrames.slice().sort((a, b) => a.index - b.index);
+        if (failed.length) {
+            console.warn(
+                `[antigravity] ${failed.length} of ${frameCount} frames failed to load:\n` +
+                failed.map((f) => `  #${f.index} ${f.url} (${f.reason}) ${f.message || ''}`).join('\n')
+            );
+        }
+        emitter.emit('complete', { loaded: framesLoadedCount, failed, skipped: skippedCount });
+    }
+
+    /* ── Preloader ─────────────────────────────────────── */
+    function updatePreloader() {
+        const p = opts.preloader;
+        if (!p) return;
+
+        const target = readyTarget();
+        const progress = Math.min((framesLoadedCount / target) * 100, 100);
+
+        if (p.progress) p.progress.textContent = `${Math.round(progress)}%`;
+        if (p.bar) p.bar.style.width = `${progress}%`;
+
+        if ((framesLoadedCount >= target || isReady) && p.root && !p.root.classList.contains('hidden')) {
+            p.root.classList.add('hidden');
+            clearInterval(msgTimer);
+            msgTimer = null;
+            hideTimer = setTimeout(() => { p.root.style.display = 'none'; }, 800);
+        }
+    }
+
+    function rotateLoadingMessage() {
+        const el = opts.preloader && opts.preloader.status;
+        if (!el || !opts.loadingMessages.length) return;
+        msgIndex = (msgIndex + 1) % opts.loadingMessages.length;
+        el.textContent = opts.loadingMessages[msgIndex];
+    }
+
+    /* ── Progressive Preloader ─────────────────────────── */
+    function preloadFrames() {
+        // Phase 1: evenly-spaced keyframes
+        const keyCount = Math.min(opts.keyframes, frameCount);
+        for (let i = 0; i < keyCount; i++) {
+            loadFrame(keyCount > 1 ? Math.round(i * (frameCount - 1) / (keyCount - 1)) : 0);
+        }
+        // Phase 2: proximity + trickle
+        schedulePreload();
+    }
+
+    function schedulePreload() {
+        if (!preloadTimer && !destroyed) preloadTimer = setInterval(proximityLoad, opts.loadInterval);
+    }
+
+    function proximityLoad() {
+        const center = state.targetFrame;
+        for (let d = 0; d <= opts.preloadRadius; d++) {
+            if (center + d < frameCount) requestFrame(center + d);
+            if (center - d >= 0) requestFrame(center - d);
+        }
+        // Trickle the rest only while the memory budget has room
+        const room = cache.hasRoom();
+        let loaded = 0;
+        for (let i = 0; i < frameCount && loaded < opts.batchLoad; i++) {
+            if (frameStatus[i] === FRAME_STATUS.IDLE ? room && requestFrame(i) : requestFrame(i)) loaded++;
+        }
+        // Retries and failures never reset to IDLE; eviction does, but only
+        // re-arms the timer via schedulePreload when the playhead moves
+        let pending = false;
+        for (let i = 0; i < frameCount && !pending; i++) {
+            pending = isStale(i) || (frameStatus[i] === FRAME_STATUS.IDLE &&
+                (room || Math.abs(i - center) <= opts.preloadRadius));
+        }
+        if (!pending) {
+            clearInterval(preloadTimer);
+            preloadTimer = null;
+        }
+    }
+
+    /* ── Canvas Sizing ─────────────────────────────────── */
+    function resizeCanvas() {
+        const size = opts.getSize();
+        dpr = Math.min(window.devicePixelRatio || 1, opts.maxDpr);
+        canvasW = size.width;
+        canvasH = size.height;
+
+        const pw = canvasW * dpr;
+        const ph = canvasH * dpr;
+
+        canvas.width = pw;
+        canvas.height = ph;
+        canvas.style.width = canvasW + 'px';
+        canvas.style.height = canvasH + 'px';
+        renderer.resize(pw, ph);
+
+        invalidateCanvas();
+
+        // Frames decoded at another size are re-queued in the background
+        const key = `${Math.round(pw)}x${Math.round(ph)}`;
+        if (decoder && key !== decodeKey) {
+            decodeKey = key;
+            if (framesLoadedCount) schedulePreload();
+        }
+    }
+
+    function targetKey() {
+        const size = opts.getSize();
+        const d = Math.min(window.devicePixelRatio || 1, opts.maxDpr);
+        return `${Math.round(size.width * d)}x${Math.round(size.height * d)}`;
+    }
+
+    /* ── Draw a frame through the renderer ──────────────── */
+    // Missing, evicted or failed frame: the nearest loaded neighbour stands in
+    function nearestLoaded(index) {
+        if (frames[index]) return index;
+        for (let d = 1; d < frameCount; d++) {
+            if (index - d >= 0 && frames[index - d]) return index - d;
+            if (index + d < frameCount && frames[index + d]) return index + d;
+        }
+        return -1;
+    }
+
+    // `mix` (0–1) fades frame index + 1 over frame index
+    function drawToCanvas(index, mix = 0) {
+        if (!renderer) return;
+
+        const src = nearestLoaded(index);
+        if (src < 0) return;
+        cache.touch(cacheKey(src));
+
+        // Only blend two real neighbours; a stand-in would fade between unrelated frames
+        let next = null;
+        if (mix > 0 && src === index && index + 1 < frameCount && frames[index + 1]) {
+            next = frames[index + 1];
+            cache.touch(cacheKey(index + 1));
+        }
+        renderer.draw(frames[src], next, next ? mix : 0, effects);
+    }
+
+    // Draw a (possibly fractional) playhead position to the canvas
+    function render(position) {
+        const index = clamp(Math.floor(position), 0, frameCount - 1);
+        const mix = index < frameCount - 1 ? position - Math.floor(position) : 0;
+        drawToCanvas(index, mix);
+        state.displayedPosition = position;
+        state.displayedFrame = clamp(Math.round(position), 0, frameCount - 1);
+        emitter.emit('frame', { index, target: state.targetFrame, mix });
+    }
+
+    // Force the next tick to redraw
+    function invalidateCanvas() {
+        state.displayedFrame = -1;
+        state.displayedPosition = -1;
+    }
+
+    /* ── Progress → Frame ──────────────────────────────── */
+    function setProgress(progress) {
+        state.targetProgress = clamp(progress, 0, 1);
+        setTargetFrame(Math.min(
+            Math.round(state.targetProgress * (frameCount - 1)),
+            frameCount - 1
+        ));
+    }
+
+    // `frame` is in source-frame units (see sourceFrameCount)
+    function setFrame(frame) {
+        setTargetFrame(clamp(Math.round(frame * frameScale), 0, frameCount - 1));
+        state.targetProgress = frameCount > 1 ? state.targetFrame / (frameCount - 1) : 0;
+    }
+
+    function setTargetFrame(frame) {
+        if (frame === state.targetFrame) return;
+        state.targetFrame = frame;
+        // Evicted frames around the new playhead need loading again
+        if (started) schedulePreload();
+    }
+
+    /* ── Section ranges ────────────────────────────────── */
+    function measure() {
+        if (!ranges || !ranges.length) return;
+        const max = document.documentElement.scrollHeight - window.innerHeight;
+        segments = measureRanges(ranges, Math.max(max, 0));
+    }
+
+    /* ── Scroll Handler ────────────────────────────────── */
+    function onScroll() {
+        if (segments.length) {
+            section = sectionAtScroll(window.scrollY, segments);
+            setFrame(frameAtScroll(window.scrollY, segments, opts.stills));
+            return;
+        }
+        // No ranges: whole-page progress
+        const max = document.documentElement.scrollHeight - window.innerHeight;
+        setProgress(snapToStill(max > 0 ? window.scrollY / max : 0, opts.stills));
+    }
+
+    /* ── Debounced Resize ──────────────────────────────── */
+    function onResize() {
+        clearTimeout(resizeTimer);
+        resizeTimer = setTimeout(() => {
+            refresh();
+            resizeCanvas();
+            if (anyFrameReady) render(clamp(state.currentFrame, 0, frameCount - 1));
+        }, 100);
+    }
+
+    /* ── Per-frame tick (driven by the shared ticker) ──── */
+    /* ── Blend mode for this tick ───────────────────────── */
+    function isBlending(position, timestamp) {
+        if (opts.blend === 'none' || opts.stills > 0 || timestamp < blendPausedUntil) return false;
+        if (opts.blend === 'idle') return Math.abs(state.targetFrame - position) < 1;
+        return true;
+    }
+
+    // Frame-time guard: a slow device steps instead of paying for two draws
+    function checkBlendBudget(dt, timestamp, blending) {
+        frameTimeAvg += (dt * 1000 - frameTimeAvg) * 0.1;
+        if (blending && frameTimeAvg > blendBudget) {
+            blendPausedUntil = timestamp + BLEND_COOLDOWN;
+            frameTimeAvg = 0;
+        }
+    }
+
+    function tick(dt, timestamp = performance.now()) {
+        // ── Frame interpolation (stills cut straight to the target) ──
+        // Blending needs the sub-frame approach the default snap skips
+        const sf = opts.stills > 0 ? state.targetFrame : lerp(
+            state.currentFrame < 0 ? state.targetFrame : state.currentFrame,
+            state.targetFrame,
+            opts.canvasLerp,
+            dt,
+            opts.targetFps,
+            opts.blend === 'none' ? 0.5 : 1 / BLEND_STEPS
+        );
+        const velocity = state.currentFrame < 0 ? 0 : (sf - state.currentFrame) / Math.max(dt, 0.001);
+        state.currentFrame = sf;
+        const effectsChanged = updateEffects(sf, velocity);
+
+        const blending = isBlending(sf, timestamp);
+        checkBlendBudget(dt, timestamp, blending);
+        const position = clamp(
+            blending ? Math.round(sf * BLEND_STEPS) / BLEND_STEPS : Math.round(sf),
+            0,
+            frameCount - 1
+        );
+
+        // ── Canvas draw (only when the position or effects change) ──
+        if ((position !== state.displayedPosition || effectsChanged) && anyFrameReady) render(position);
+    }
+
+    /* ── Effects hook ──────────────────────────────────── */
+    // Returns true when the canvas needs redrawing for them
+    function updateEffects(frame, velocity) {
+        if (!opts.effects) return false;
+        const next = opts.effects({
+            frame,
+            target: state.targetFrame,
+            progress: frameCount > 1 ? frame / (frameCount - 1) : 0,
+            velocity,
+            section,
+        }) || null;
+        const changed = !sameEffects(effects, next);
+        effects = next;
+        return changed;
+    }
+
+    /* ── Public API ────────────────────────────────────── */
+    function start() {
+        if (started || destroyed) return api;
+
+        // Throws before anything else is set up when the canvas has no context
+        renderer = createRenderer(canvas, {
+            type: opts.renderer,
+            background: opts.background,
+            onRestored: invalidateCanvas,
+        });
+        started = true;
+
+        if (opts.decode !== 'image' && supportsWorkerDecode()) {
+            decoder = createBitmapDecoder();
+            if (decoder) decodeKey = targetKey();
+        }
+
+        if (opts.preloader && opts.loadingMessages.length) {
+            msgTimer = setInterval(rotateLoadingMessage, opts.messageInterval);
+        }
+
+        preloadFrames();
+        // Every frame skipped (offline with nothing cached)
+        checkReady();
+        checkComplete();
+
+        if (opts.trackScroll) {
+            measure();
+            window.addEventListener('scroll', onScroll, { passive: true });
+            onScroll();
+        }
+        window.addEventListener('resize', onResize, { passive: true });
+
+        stopTicker = addTicker(tick);
+        return api;
+    }
+
+    /** Move the sequence to `progress` (0–1). Scroll tracking overrides it on the next scroll. */
+    function seek(progress) {
+        if (typeof progress !== 'number' || Number.isNaN(progress)) return api;
+        setProgress(progress);
+        return api;
+    }
+
+    /**
+     * Scroll position that shows frame `index` (for keyboard or scripted
+     * control of a scroll-driven sequence); null when no section shows it.
+     */
+    function scrollFor(index) {
+        const frame = clamp(index, 0, frameCount - 1);
+        if (segments.length) {
+            const y = scrollAtFrame(frame / frameScale, segments);
+            return y === null ? null : Math.round(y);
+        }
+        const max = Math.max(document.documentElement.scrollHeight - window.innerHeight, 0);
+        return frameCount > 1 ? Math.round(max * frame / (frameCount - 1)) : 0;
+    }
+
+    /** Re-measure section ranges after layout changes (content height, fonts, images). */
+    function refresh() {
+        measure();
+        if (started && opts.trackScroll) onScroll();
+        return api;
+    }
+
+    /** Switch between scrubbing (0) and `n` still frames per section. */
+    function setStills(n) {
+        opts.stills = n > 0 ? Math.floor(n) : 0;
+        if (started && opts.trackScroll) onScroll();
+        return api;
+    }
+
+    /** Switch the render mode: 'none' | 'crossfade' | 'idle'. */
+    function setBlend(mode) {
+        if (!['none', 'crossfade', 'idle'].includes(mode)) throw new TypeError(`Unknown blend mode "${mode}"`);
+        opts.blend = mode;
+        invalidateCanvas();
+        return api;
+    }
+
+    /** Cap the canvas pixel ratio (quality tiers); frames re-decode at the new size. */
+    function setMaxDpr(value) {
+        if (!(value > 0)) throw new TypeError(`Invalid maxDpr ${value}`);
+        if (value === opts.maxDpr) return api;
+        opts.maxDpr = value;
+        if (started && !destroyed) resizeCanvas();
+        return api;
+    }
+
+    /** Frame easing factor; higher settles (and stops redrawing) sooner. */
+    function setCanvasLerp(value) {
+        if (!(value > 0 && value <= 1)) throw new TypeError(`Invalid canvasLerp ${value}`);
+        opts.canvasLerp = value;
+        return api;
+    }
+
+    /** Re-request skipped frames and frames that failed to fetch (e.g. back online). */
+    function retryFrames() {
+        if (destroyed) return api;
+        for (let i = 0; i < frameCount; i++) {
+            if (frameStatus[i] === FRAME_STATUS.SKIPPED) frameStatus[i] = FRAME_STATUS.IDLE;
+        }
+        skippedCount = 0;
+
+        // Blank or wrong-sized frames are bad content; another fetch won't fix them
+        for (let i = failedFrames.length - 1; i >= 0; i--) {
+            const f = failedFrames[i];
+            if (f.reason === 'blank' || f.reason === 'size') continue;
+            frameStatus[f.index] = FRAME_STATUS.IDLE;
+            failedFrames.splice(i, 1);
+        }
+        isComplete = false;
+        if (started) schedulePreload();
+        return api;
+    }
+
+    function destroy() {
+        if (destroyed) return;
+        destroyed = true;
+        abort.abort();
+
+        clearInterval(preloadTimer);
+        clearInterval(msgTimer);
+        clearTimeout(hideTimer);
+        clearTimeout(resizeTimer);
+        preloadTimer = msgTimer = hideTimer = resizeTimer = null;
+
+        window.removeEventListener('scroll', onScroll);
+        window.removeEventListener('resize', onResize);
+        if (stopTicker) stopTicker();
+        stopTicker = null;
+
+        if (decoder) decoder.destroy();
+        decoder = null;
+        frames.forEach(releaseImage);
+        frames.fill(null);
+        sheetImages.forEach(releaseImage);
+        sheetImages.fill(null);
+        cache.clear();
+        if (renderer) renderer.destroy();
+        renderer = null;
+        emitter.clear();
+    }
+
+    const api = {
+        start,
+        destroy,
+        seek,
+        scrollFor,
+        refresh,
+        retryFrames,
+        setStills,
+        setBlend,
+        setMaxDpr,
+        setCanvasLerp,
+        on: emitter.on,
+        off: emitter.off,
+        get frame() { return state.displayedFrame; },
+        get target() { return state.targetFrame; },
+        get renderer() { return renderer ? renderer.type : null; },
+        get blending() { return opts.blend !== 'none' && performance.now() >= blendPausedUntil; },
+        get ready() { return isReady; },
+        get memory() { return { bytes: cache.bytes, budget: cache.budget }; },
+        get failedFrames() { return failedFrames.map((f) => f.index).sort((a, b) => a - b); },
+        get stats() { return getStats(); },
+    };
+
+    return api;
+}
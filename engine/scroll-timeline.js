@@ -0,0 +1,265 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Scroll Timeline
+   Scroll-scrubbed transform / opacity / filter keyframes for
+   DOM elements, driven from the shared rAF loop. Scrubbed, so
+   scrolling back plays them in reverse.
+
+   Markup:
+     <div data-timeline="0% { opacity: 0; y: 50 } 100% { opacity: 1; y: 0 }"
+          data-timeline-range="enter"          enter | view | section | page | "<startPx> <endPx>"
+          data-timeline-trigger="#hero"        element whose position drives it (default: itself)
+          data-timeline-ease="out"             linear | in | out | in-out
+          data-timeline-offset="40">           px to delay the range by
+
+   Properties: opacity, x, y (px), scale, rotate (deg),
+   blur (px), brightness, saturate
+   ═══════════════════════════════════════════════════════════ */
+
+import { addTicker } from './ticker.js';
+import { clamp } from './math.js';
+import { pageTop } from './scroll-ranges.js';
+
+const PROPS = ['opacity', 'x', 'y', 'scale', 'rotate', 'blur', 'brightness', 'saturate'];
+
+// Value a property has when a keyframe leaves it out
+const NEUTRAL = { opacity: 1, x: 0, y: 0, scale: 1, rotate: 0, blur: 0, brightness: 1, saturate: 1 };
+
+const EASES = {
+    linear: (t) => t,
+    in: (t) => t * t * t,
+    out: (t) => 1 - Math.pow(1 - t, 3),
+    'in-out': (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+};
+
+// Share of the viewport an 'enter' range plays over
+const ENTER_DISTANCE = 0.4;
+
+/* ── Parse "0% { opacity: 0; y: 50 } 100% { … }" ────────── */
+export function parseKeyframes(text) {
+    const keyframes = [];
+    const blocks = /(-?[\d.]+)%\s*\{([^}]*)\}/g;
+    let match;
+    while ((match = blocks.exec(text))) {
+        const frame = { offset: clamp(Number(match[1]) / 100, 0, 1) };
+        match[2].split(';').forEach((decl) => {
+            const [prop, value] = decl.split(':').map((part) => part && part.trim());
+            if (!prop) return;
+            if (!PROPS.includes(prop) || !Number.isFinite(parseFloat(value))) {
+                throw new TypeError(`Invalid timeline keyframe "${decl.trim()}"`);
+            }
+            frame[prop] = parseFloat(value);
+        });
+        keyframes.push(frame);
+    }
+    if (!keyframes.length) throw new TypeError(`Invalid timeline "${text}": no keyframes`);
+    return keyframes.sort((a, b) => a.offset - b.offset);
+}
+
+/* ── Keyframes → values at progress p ──────────────────── */
+export function sampleKeyframes(keyframes, p) {
+    const values = {};
+    const props = new Set();
+    keyframes.forEach((k) => Object.keys(k).forEach((prop) => { if (prop !== 'offset') props.add(prop); }));
+
+    props.forEach((prop) => {
+        // Only the keyframes that set this property
+        const frames = keyframes.filter((k) => k[prop] !== undefined);
+        let prev = frames[0];
+        let next = frames[frames.length - 1];
+        for (let i = 0; i < frames.length; i++) {
+            if (frames[i].offset <= p) prev = frames[i];
+            if (frames[i].offset >= p) {
+                next = frames[i];
+                break;
+            }
+        }
+        const span = next.offset - prev.offset;
+        const t = span > 0 ? clamp((p - prev.offset) / span, 0, 1) : 0;
+        values[prop] = prev[prop] + (next[prop] - prev[prop]) * t;
+    });
+    return values;
+}
+
+/* ── Values → inline styles ───────────────────────────── */
+// Motion goes through the individual translate / rotate / scale
+// properties, so the element's own `transform` (e.g. a :hover lift)
+// still applies on top and keeps its transition
+function applyValues(el, values) {
+    const v = { ...NEUTRAL, ...values };
+    const has = (prop) => values[prop] !== undefined;
+
+    if (has('x') || has('y')) el.style.translate = `${v.x}px ${v.y}px`;
+    if (has('rotate')) el.style.rotate = `${v.rotate}deg`;
+    if (has('scale')) el.style.scale = String(v.scale);
+    if (has('opacity')) el.style.opacity = String(v.opacity);
+    if (has('blur') || has('brightness') || has('saturate')) {
+        el.style.filter = `blur(${v.blur}px) brightness(${v.brightness}) saturate(${v.saturate})`;
+    }
+}
+
+function clearValues(el) {
+    el.style.translate = '';
+    el.style.rotate = '';
+    el.style.scale = '';
+    el.style.opacity = '';
+    el.style.filter = '';
+}
+
+/**
+ * @param {{ root?: ParentNode, getScroll?: () => number }} options
+ *        root is scanned for [data-timeline]; getScroll returns the (eased) scroll position
+ * @returns {{ start: Function, destroy: Function, add: Function, refresh: Function, setEnabled: Function }}
+ */
+export function createScrollTimeline({ root = document, getScroll = () => window.scrollY } = {}) {
+    const entries = [];
+    let enabled = true;
+    let stopTicker = null;
+    let lastY = NaN;
+
+    /* ── Scroll span an entry plays over ───────────────── */
+    function measureEntry(entry) {
+        const vh = window.innerHeight;
+        const maxScroll = Math.max(document.documentElement.scrollHeight - vh, 0);
+        const top = pageTop(entry.trigger);
+        const height = entry.trigger.offsetHeight;
+        let start, end;
+
+        if (Array.isArray(entry.range)) {
+            [start, end] = entry.range;
+        } else if (entry.range === 'view') {
+            start = top - vh;
+            end = top + height;
+        } else if (entry.range === 'section') {
+            // Same span as a data-sequence section: its top to its bottom at the viewport top
+            start = top;
+            end = Math.min(top + height, maxScroll);
+        } else if (entry.range === 'page') {
+            start = 0;
+            end = maxScroll;
+        } else {
+            start = top - vh;
+            end = top - vh * (1 - ENTER_DISTANCE);
+        }
+        entry.start = start + entry.offset;
+        entry.end = end + entry.offset;
+
+        // Near the page bottom the staggered span can run past the last
+        // reachable scroll; finish it there so the element fully reveals
+        if (!Array.isArray(entry.range) && entry.range !== 'view') {
+            entry.end = Math.min(entry.end, maxScroll);
+            entry.start = Math.min(entry.start, entry.end);
+        }
+    }
+
+    function render(entry, y) {
+        const span = entry.end - entry.start;
+        const p = span > 0 ? clamp((y - entry.start) / span, 0, 1) : (y >= entry.start ? 1 : 0);
+        if (p === entry.progress) return;
+        entry.progress = p;
+        applyValues(entry.el, sampleKeyframes(entry.keyframes, entry.ease(p)));
+    }
+
+    function tick() {
+        if (!enabled) return;
+        const y = getScroll();
+        if (y === lastY) return;
+        lastY = y;
+        for (let i = 0; i < entries.length; i++) render(entries[i], y);
+    }
+
+    /**
+     * Register an element.
+     * @param {Element} el
+     * @param {{ keyframes: object[] | string, range?: string | number[], trigger?: Element,
+     *           ease?: string, offset?: number }} spec
+     *        keyframes: [{ offset: 0–1, opacity?, x?, y?, … }] or the data-timeline syntax
+     * @returns {Function} removes the element and clears its styles
+     */
+    function add(el, spec) {
+        const keyframes = typeof spec.keyframes === 'string'
+            ? parseKeyframes(spec.keyframes)
+            : spec.keyframes.slice().sort((a, b) => a.offset - b.offset);
+        const entry = {
+            el,
+            keyframes,
+            range: spec.range || 'enter',
+            trigger: spec.trigger || el,
+            ease: EASES[spec.ease] || EASES.linear,
+            offset: spec.offset || 0,
+            start: 0,
+            end: 0,
+            progress: -1,
+        };
+        measureEntry(entry);
+        entries.push(entry);
+        if (enabled) render(entry, getScroll());
+
+        return () => {
+            const index = entries.indexOf(entry);
+            if (index < 0) return;
+            entries.splice(index, 1);
+            clearValues(el);
+        };
+    }
+
+    /* ── Read [data-timeline] elements ─────────────────── */
+    function scan() {
+        root.querySelectorAll('[data-timeline]').forEach((el) => {
+            const { timeline, timelineRange, timelineTrigger, timelineEase, timelineOffset } = el.dataset;
+            let range = timelineRange;
+            const px = timelineRange && timelineRange.trim().split(/\s+/).map(Number);
+            if (px && px.length === 2 && px.every(Number.isFinite)) range = px;
+
+            try {
+                add(el, {
+                    keyframes: timeline,
+                    range,
+                    trigger: timelineTrigger ? document.querySelector(timelineTrigger) || el : el,
+                    ease: timelineEase,
+                    offset: Number(timelineOffset) || 0,
+                });
+            } catch (err) {
+                console.warn('[antigravity] ignoring timeline on', el, err.message);
+            }
+        });
+    }
+
+    /* ── Public API ────────────────────────────────────── */
+    function start() {
+        if (stopTicker) return api;
+        scan();
+        stopTicker = addTicker(tick);
+        return api;
+    }
+
+    /** Re-measure trigger positions after layout changes. */
+    function refresh() {
+        entries.forEach((entry) => {
+            measureEntry(entry);
+            entry.progress = -1;
+        });
+        lastY = NaN;
+        return api;
+    }
+
+    /** Disabled clears every inline style so CSS alone decides (reduced motion). */
+    function setEnabled(value) {
+        enabled = !!value;
+        entries.forEach((entry) => {
+            entry.progress = -1;
+            if (!enabled) clearValues(entry.el);
+        });
+        lastY = NaN;
+        return api;
+    }
+
+    function destroy() {
+        if (stopTicker) stopTicker();
+        stopTicker = null;
+        entries.forEach((entry) => clearValues(entry.el));
+        entries.length = 0;
+    }
+
+    const api = { start, destroy, add, refresh, setEnabled };
+    return api;
+}
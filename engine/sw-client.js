@@ -0,0 +1,103 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Service Worker Client
+   Registers sw.js for the current frame set and asks it to
+   precache frames in the background, or for its frame cache
+   stats, over a MessageChannel
+   ═══════════════════════════════════════════════════════════ */
+
+export function supportsServiceWorker() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator && location.protocol !== 'file:';
+}
+
+/* ── Register (frame cache keyed by manifest hash) ─────── */
+// params: { frames: manifest hash, rendition: rendition id to precache keyframes of }
+export function registerServiceWorker(scriptUrl, params = {}) {
+    if (!supportsServiceWorker()) return Promise.resolve(null);
+
+    const query = new URLSearchParams();
+    Object.keys(params).forEach((key) => {
+        if (params[key]) query.set(key, params[key]);
+    });
+    const url = query.toString() ? `${scriptUrl}?${query}` : scriptUrl;
+    return navigator.serviceWorker.register(url).catch(() => null);
+}
+
+/* ── Which of `urls` are already in any cache (offline mode) ── */
+export async function findCached(urls) {
+    if (typeof caches === 'undefined') return urls.map(() => false);
+    return Promise.all(urls.map((url) => caches.match(url).then(Boolean, () => false)));
+}
+
+/**
+ * Ask the active worker to cache `urls`. Falls back to `keyframes` when
+ * the estimated `bytes` won't fit or the quota runs out part-way.
+ *
+ * `timeout` is how long (ms) the worker may go without reporting progress
+ * before the promise rejects.
+ *
+ * @param {{ urls: string[], keyframes?: string[], bytes?: number, timeout?: number,
+ *           onProgress?: (p: { done: number, total: number, mode: string }) => void }} options
+ * @returns {Promise<{ cached: number, failed: string[], mode: 'full' | 'keyframes' } | null>}
+ *          null when there is no service worker
+ */
+export async function precacheFrames({ urls, keyframes = [], bytes = 0, timeout = 30000, onProgress }) {
+    if (!supportsServiceWorker()) return null;
+
+    const registration = await navigator.serviceWorker.ready;
+    const worker = registration.active;
+    if (!worker) return null;
+
+    return new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        let timer = null;
+        function wait() {
+            clearTimeout(timer);
+            timer = setTimeout(() => finish(null, new Error(`Frame precache timed out after ${timeout}ms`)), timeout);
+        }
+        function finish(result, err) {
+            clearTimeout(timer);
+            channel.port1.close();
+            if (err) reject(err);
+            else resolve(result);
+        }
+        channel.port1.onmessage = (event) => {
+            const msg = event.data;
+            if (msg.type === 'progress') {
+                wait();
+                if (onProgress) onProgress(msg);
+            } else if (msg.type === 'done') {
+                finish({ cached: msg.cached, failed: msg.failed, mode: msg.mode });
+            } else if (msg.type === 'error') {
+                finish(null, new Error(`Frame precache failed: ${msg.message}`));
+            }
+        };
+        wait();
+        worker.postMessage({ type: 'precache', urls, keyframes, bytes }, [channel.port2]);
+    });
+}
+
+/**
+ * Frame cache hits and misses counted by the worker controlling this page.
+ * @param {{ timeout?: number }} options  ms to wait for the worker's reply
+ * @returns {Promise<{ hits: number, misses: number } | null>}
+ *          null when no worker controls the page or it doesn't answer
+ */
+export function getCacheStats({ timeout = 1000 } = {}) {
+    const worker = supportsServiceWorker() && navigator.serviceWorker.controller;
+    if (!worker) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+        const channel = new MessageChannel();
+        const timer = setTimeout(() => finish(null), timeout);
+        function finish(result) {
+            clearTimeout(timer);
+            channel.port1.close();
+            resolve(result);
+        }
+        channel.port1.onmessage = (event) => {
+            const msg = event.data;
+            if (msg.type === 'stats') finish({ hits: msg.hits, misses: msg.misses });
+        };
+        worker.postMessage({ type: 'stats' }, [channel.port2]);
+    });
+}
@@ -0,0 +1,54 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Shared Ticker
+   One requestAnimationFrame loop for every engine instance
+   and page effect; stops itself when nothing is subscribed
+   and while the tab is hidden
+   ═══════════════════════════════════════════════════════════ */
+
+const subscribers = new Set();
+let rafId = 0;
+let lastTime = 0;
+let hidden = false;
+
+function loop(timestamp) {
+    const dt = lastTime ? Math.min((timestamp - lastTime) / 1000, 0.1) || 0.016 : 0.016;
+    lastTime = timestamp;
+
+    subscribers.forEach((fn) => fn(dt, timestamp));
+
+    rafId = subscribers.size && !hidden ? requestAnimationFrame(loop) : 0;
+}
+
+function resume() {
+    if (rafId || hidden || !subscribers.size) return;
+    lastTime = 0;
+    rafId = requestAnimationFrame(loop);
+}
+
+/* ── Hidden tab: no frames at all, not just throttled ones ── */
+if (typeof document !== 'undefined' && typeof document.addEventListener === 'function') {
+    hidden = document.visibilityState === 'hidden';
+    document.addEventListener('visibilitychange', () => {
+        hidden = document.visibilityState === 'hidden';
+        if (hidden && rafId) {
+            cancelAnimationFrame(rafId);
+            rafId = 0;
+        }
+        resume();
+    });
+}
+
+/* ── Subscribe: fn(dt, timestamp) runs once per frame ─── */
+export function addTicker(fn) {
+    subscribers.add(fn);
+    resume();
+    return () => removeTicker(fn);
+}
+
+export function removeTicker(fn) {
+    subscribers.delete(fn);
+    if (!subscribers.size && rafId) {
+        cancelAnimationFrame(rafId);
+        rafId = 0;
+    }
+}
@@ -0,0 +1,213 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Virtual Scroll
+   Eases a fixed content container towards the native scroll
+   position, and keeps what the browser does natively working:
+   hash links, Tab focus, find-in-page and content resizes
+
+   The body is sized to the content so the native scrollbar and
+   keyboard scrolling still drive window.scrollY. In native mode
+   (html.native-scroll) the content is back in normal flow.
+   ═══════════════════════════════════════════════════════════ */
+
+import { createEmitter } from './emitter.js';
+import { addTicker } from './ticker.js';
+import { clamp, lerp } from './math.js';
+import { pageTop } from './scroll-ranges.js';
+
+const DEFAULTS = {
+    wrapper: null,             // Fixed, overflow-hidden viewport (#smooth-wrapper)
+    content: null,             // Translated container (#smooth-content)
+    lerp: 0.08,                // Easing towards the native position (lower = smoother)
+    targetFps: 60,
+    native: false,             // Start in native-scroll mode
+    nativeClass: 'native-scroll',
+    topInset: () => 0,         // px hidden under fixed UI (nav) when bringing focus into view
+};
+
+/**
+ * Events:
+ *   'resize' { height }          the content height changed (fonts, images, layout)
+ *   'mode'   { native }          native-scroll mode switched
+ *
+ * @param {object} options  See DEFAULTS
+ * @returns {{ start: Function, destroy: Function, setNative: Function, scrollTo: Function,
+ *            scrollToHash: Function, on: Function, off: Function }}
+ */
+export function createVirtualScroll(options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const { wrapper, content } = opts;
+
+    if (!wrapper || !content) throw new TypeError('createVirtualScroll: `wrapper` and `content` are required');
+
+    const emitter = createEmitter();
+    const root = document.documentElement;
+
+    let native = !!opts.native;
+    let target = 0;
+    let current = 0;
+    let height = 0;
+    let started = false;
+    let destroyed = false;
+    let stopTicker = null;
+    let resizeObserver = null;
+
+    /* ── Body height mirrors the content (virtual mode) ── */
+    function syncHeight() {
+        const h = content.offsetHeight;
+        document.body.style.height = native ? '' : `${h}px`;
+        if (h !== height) {
+            height = h;
+            emitter.emit('resize', { height });
+        }
+    }
+
+    function render() {
+        content.style.transform = native ? '' : `translate3d(0, ${-current}px, 0)`;
+    }
+
+    // Jump without easing (focus, hash loads): no visible slide
+    function jumpTo(y) {
+        const max = Math.max(document.documentElement.scrollHeight - window.innerHeight, 0);
+        target = current = clamp(Math.round(y), 0, max);
+        window.scrollTo(0, target);
+        render();
+    }
+
+    /* ── Browser scrolled the wrapper itself ───────────── */
+    // Focus, find-in-page and fragment loads scroll the nearest scroll
+    // container, which is the overflow-hidden wrapper. Move that offset
+    // onto the window instead so the two never disagree.
+    function absorbWrapperScroll() {
+        if (native || !wrapper.scrollTop) return;
+        const offset = wrapper.scrollTop;
+        wrapper.scrollTop = 0;
+        jumpTo(current + offset);
+    }
+
+    function onScroll() {
+        target = window.scrollY;
+    }
+
+    function onFocusIn(e) {
+        if (native || !content.contains(e.target)) return;
+        absorbWrapperScroll();
+
+        const rect = e.target.getBoundingClientRect();
+        const inset = opts.topInset();
+        if (rect.top >= inset && rect.bottom <= window.innerHeight) return;
+        // Centre it, or pin its top below the inset when taller than the viewport
+        const room = window.innerHeight - inset;
+        const offset = rect.height < room ? inset + (room - rect.height) / 2 : inset;
+        jumpTo(current + rect.top - offset);
+    }
+
+    function onHashChange() {
+        scrollToHash(location.hash, { behavior: 'auto' });
+    }
+
+    function tick(dt) {
+        if (native) {
+            current = target;
+            return;
+        }
+        current = lerp(current, target, opts.lerp, dt, opts.targetFps);
+        render();
+    }
+
+    /* ── Public API ────────────────────────────────────── */
+    function start() {
+        if (started || destroyed) return api;
+        started = true;
+
+        root.classList.toggle(opts.nativeClass, native);
+        syncHeight();
+        target = current = window.scrollY;
+        render();
+
+        if (typeof ResizeObserver === 'function') {
+            resizeObserver = new ResizeObserver(syncHeight);
+            resizeObserver.observe(content);
+        } else {
+            window.addEventListener('resize', syncHeight, { passive: true });
+        }
+        window.addEventListener('scroll', onScroll, { passive: true });
+        window.addEventListener('hashchange', onHashChange);
+        wrapper.addEventListener('scroll', absorbWrapperScroll, { passive: true });
+        document.addEventListener('focusin', onFocusIn);
+
+        // Fragment in the URL: the browser tried to scroll the wrapper
+        wrapper.scrollTop = 0;
+        if (location.hash) scrollToHash(location.hash, { behavior: 'auto' });
+
+        stopTicker = addTicker(tick);
+        return api;
+    }
+
+    /** Scroll so `el` sits at the top; 'smooth' eases, 'auto' jumps. */
+    function scrollTo(el, { behavior = 'smooth' } = {}) {
+        const top = pageTop(el);
+        if (behavior === 'auto') jumpTo(top);
+        else window.scrollTo({ top, behavior });
+        return api;
+    }
+
+    /** Scroll to the element a `#fragment` names; false when there is none. */
+    function scrollToHash(hash, scrollOptions) {
+        let id = (hash || '').replace(/^#/, '');
+        try {
+            id = decodeURIComponent(id);
+        } catch (err) { /* use as-is */ }
+        const el = id && document.getElementById(id);
+        if (!el) return false;
+        scrollTo(el, scrollOptions);
+        return true;
+    }
+
+    /** Switch between eased virtual scroll and the browser's own scrolling. */
+    function setNative(enabled) {
+        enabled = !!enabled;
+        if (enabled === native) return api;
+        native = enabled;
+        root.classList.toggle(opts.nativeClass, native);
+        wrapper.scrollTop = 0;
+        syncHeight();
+        target = current = window.scrollY;
+        render();
+        emitter.emit('mode', { native });
+        return api;
+    }
+
+    function destroy() {
+        if (destroyed) return;
+        destroyed = true;
+
+        if (resizeObserver) resizeObserver.disconnect();
+        resizeObserver = null;
+        window.removeEventListener('resize', syncHeight);
+        window.removeEventListener('scroll', onScroll);
+        window.removeEventListener('hashchange', onHashChange);
+        wrapper.removeEventListener('scroll', absorbWrapperScroll);
+        document.removeEventListener('focusin', onFocusIn);
+        if (stopTicker) stopTicker();
+        stopTicker = null;
+
+        root.classList.remove(opts.nativeClass);
+        document.body.style.height = '';
+        content.style.transform = '';
+        emitter.clear();
+    }
+
+    const api = {
+        start,
+        destroy,
+        setNative,
+        scrollTo,
+        scrollToHash,
+        on: emitter.on,
+        off: emitter.off,
+        get y() { return current; },
+        get native() { return native; },
+    };
+
+    return api;
+}
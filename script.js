@@ -1,411 +1,606 @@
 /* ═══════════════════════════════════════════════════════════
-   ANTIGRAVITY — Scroll Engine & Interactions
-   Virtual smooth scroll, double-buffered canvas,
-   delta-time lerp, progressive frame loading, single rAF
+   ANTIGRAVITY — Page Scroll & Interactions
+   Virtual smooth scroll, parallax layers and reveals;
+   the frame sequence itself lives in engine/scroll-sequence.js
    ═══════════════════════════════════════════════════════════ */
 
-(() => {
-    'use strict';
-
-    /* ── Configuration ──────────────────────────────────── */
-    const CONFIG = {
-        FRAME_COUNT: 150,
-        FRAME_PATH: './frames/',
-        PARALLAX_SPEEDS: { layer1: 0.2, layer2: 0.5 },
-        HERO_SCALE_MAX: 1.12,
-        LERP_FACTOR: 0.08,        // Smooth scroll easing (lower = smoother)
-        CANVAS_LERP: 0.14,
-        TARGET_FPS: 60,
-        PRELOAD_RADIUS: 12,
-        BATCH_LOAD: 3,
-        MIN_FRAMES_TO_START: 25,   // Frames needed before hiding preloader
-    };
-
-    /* ── Creative loading messages ──────────────────────── */
-    const LOADING_MESSAGES = [
-        'CALIBRATING GRAVITY WELLS...',
-        'BENDING SPACETIME FABRIC...',
-        'CHARGING PHOTON DRIVES...',
-        'SYNCING QUANTUM FIELDS...',
-        'INITIALIZING VOID ENGINE...',
-        'DEFRAGMENTING DARK MATTER...',
-        'ALIGNING STELLAR COORDINATES...',
-        'WARMING UP WARP CORES...',
-    ];
-
-    /* ── State ──────────────────────────────────────────── */
-    const state = {
-        targetScrollY: 0,
-        smoothScrollY: 0,
-        targetScrollProgress: 0,
-        smoothScrollProgress: 0,
-        currentFrame: -1,
-        displayedFrame: -1,
-        targetFrame: 0,
-        lastTime: 0,
-        mouseX: 0,
-        mouseY: 0,
-        smoothMouseX: 0,
-        smoothMouseY: 0,
-        contentHeight: 0,
-    };
-
-    /* ── DOM References ─────────────────────────────────── */
-    const $ = (s) => document.querySelector(s);
-    const $$ = (s) => document.querySelectorAll(s);
-    const DOM = {};
-
-    /* ── Canvas ─────────────────────────────────────────── */
-    let ctx, offscreen, offCtx;
-    let canvasW = 0, canvasH = 0, dpr = 1;
-
-    /* ── Frame Storage ─────────────────────────────────── */
-    const frames = new Array(CONFIG.FRAME_COUNT).fill(null);
-    const frameStatus = new Uint8Array(CONFIG.FRAME_COUNT);
-    let anyFrameReady = false;
-    let framesLoadedCount = 0;
-
-    /* ── Mouse parallax element arrays ─────────────────── */
-    let blobEls = [];
-    let shardEls = [];
-
-    /* ── Loading message rotation ──────────────────────── */
-    let msgIndex = 0;
-    let msgTimer = null;
-
-    /* ── Service Worker ────────────────────────────────── */
-    function registerSW() {
-        if ('serviceWorker' in navigator && location.protocol !== 'file:') {
-            navigator.serviceWorker.register('./sw.js').catch(() => { });
-        }
-    }
-
-    /* ── Frame URL builder ─────────────────────────────── */
-    function frameUrl(i) {
-        return `${CONFIG.FRAME_PATH}${String(i + 1).padStart(3, '0')}.png`;
-    }
-
-    /* ── Load a single frame ───────────────────────────── */
-    function loadFrame(index) {
-        if (frameStatus[index] >= 1) return;
-        frameStatus[index] = 1;
-
-        const url = frameUrl(index);
-        const img = new Image();
-        img.src = url;
-        img.onload = () => {
-            frames[index] = img;
-            frameStatus[index] = 2;
-            onFrameReady(index);
-        };
-        img.onerror = () => { frameStatus[index] = 0; };
-    }
-
-    function onFrameReady(index) {
-        framesLoadedCount++;
-        updatePreloader();
-
-        if (!anyFrameReady) {
-            anyFrameReady = true;
-            resizeCanvas();
-            drawFrameToBuffer(index);
-            blitBuffer();
-        }
-    }
-
-    /* ── Preloader ─────────────────────────────────────── */
-    function updatePreloader() {
-        const progress = Math.min((framesLoadedCount / CONFIG.MIN_FRAMES_TO_START) * 100, 100);
-
-        const textEl = document.getElementById('loader-progress');
-        const barEl = document.getElementById('loader-bar-inner');
-        const loaderEl = document.getElementById('preloader');
-
-        if (textEl) textEl.textContent = `${Math.round(progress)}%`;
-        if (barEl) barEl.style.width = `${progress}%`;
-
-        if (framesLoadedCount >= CONFIG.MIN_FRAMES_TO_START && loaderEl && !loaderEl.classList.contains('hidden')) {
-            loaderEl.classList.add('hidden');
-            clearInterval(msgTimer);
-            setTimeout(() => { loaderEl.style.display = 'none'; }, 800);
-        }
-    }
-
-    function rotateLoadingMessage() {
-        const el = document.getElementById('loader-status');
-        if (!el) return;
-        msgIndex = (msgIndex + 1) % LOADING_MESSAGES.length;
-        el.textContent = LOADING_MESSAGES[msgIndex];
-    }
-
-    /* ── Progressive Preloader ─────────────────────────── */
-    let preloadTimer = null;
-
-    function preloadFrames() {
-        // Phase 1: evenly-spaced keyframes
-        const keyCount = 20;
-        for (let i = 0; i < keyCount; i++) {
-            loadFrame(Math.round(i * (CONFIG.FRAME_COUNT - 1) / (keyCount - 1)));
-        }
-        // Phase 2: proximity + trickle
-        preloadTimer = setInterval(proximityLoad, 80);
-    }
-
-    function proximityLoad() {
-        const center = state.targetFrame;
-        for (let d = 0; d <= CONFIG.PRELOAD_RADIUS; d++) {
-            if (center + d < CONFIG.FRAME_COUNT) loadFrame(center + d);
-            if (center - d >= 0) loadFrame(center - d);
-        }
-        let loaded = 0;
-        for (let i = 0; i < CONFIG.FRAME_COUNT && loaded < CONFIG.BATCH_LOAD; i++) {
-            if (frameStatus[i] === 0) { loadFrame(i); loaded++; }
-        }
-        if (frameStatus.every((s) => s >= 1)) {
-            clearInterval(preloadTimer);
+import { createScrollSequence } from './engine/scroll-sequence.js';
+import { parseTint } from './engine/renderer.js';
+import { resolveFrameSet } from './engine/frame-manifest.js';
+import { findCached, getCacheStats, precacheFrames, registerServiceWorker } from './engine/sw-client.js';
+import { createMotionPreference } from './engine/motion-preference.js';
+import { createVirtualScroll } from './engine/virtual-scroll.js';
+import { createScrollTimeline } from './engine/scroll-timeline.js';
+import { createPerfMonitor } from './engine/perf-monitor.js';
+import { createDebugHud } from './engine/debug-hud.js';
+import { createQualityGovernor } from './engine/quality-governor.js';
+import { createParallaxInput } from './engine/parallax-input.js';
+import { loadProduct } from './engine/product-config.js';
+import { renderConfigError, renderProduct } from './engine/product-page.js';
+import { addTicker } from './engine/ticker.js';
+
+/* ── Configuration ──────────────────────────────────── */
+const CONFIG = {
+    PRODUCT: 'antigravity',    // products/<name>.json; ?product=<name> picks another
+    PARALLAX_SPEEDS: { layer1: 0.2, layer2: 0.5 },
+    HERO_SCALE_MAX: 1.12,      // Canvas zoom by the end of the hero section
+    LERP_FACTOR: 0.08,        // Smooth scroll easing (lower = smoother)
+    CANVAS_LERP: 0.14,
+    CANVAS_BLEND: 'idle',      // 'none' | 'crossfade' | 'idle' (crossfade while the playhead settles)
+    CANVAS_RENDERER: 'auto',   // 'auto' | 'webgl' | '2d'
+    ABERRATION_MAX: 0.008,     // Chromatic split at full scrub speed (WebGL only)
+    ABERRATION_SPEED: 120,     // Frames/s that counts as full scrub speed
+    VIGNETTE: [0.2, 0.45],     // Vignette strength at the first / last frame
+    TARGET_FPS: 60,
+    PRELOAD_RADIUS: 12,
+    BATCH_LOAD: 3,
+    MIN_FRAMES_TO_START: 25,   // Frames needed before hiding preloader
+    REDUCED_STILLS: 2,         // Still frames per section in reduced-motion mode
+    TELEMETRY_URL: null,       // Endpoint perf samples are beaconed to when the page is hidden
+    TELEMETRY_MAX_SAMPLES: 60, // Samples kept between beacons (one per second)
+};
+
+const OFFLINE_MESSAGES = ['OFFLINE — REPLAYING CACHED FRAMES...'];
+
+/* ── State ──────────────────────────────────────────── */
+const state = {
+    smoothScrollY: 0,
+    mouseX: 0,
+    mouseY: 0,
+    smoothMouseX: 0,
+    smoothMouseY: 0,
+};
+
+/* ── DOM References ─────────────────────────────────── */
+const $ = (s) => document.querySelector(s);
+const $$ = (s) => document.querySelectorAll(s);
+const DOM = {};
+
+/* ── Product (copy, sections, frame set, loading messages) ── */
+let product = null;
+let productPath = null;        // ./products/<name>.json, also cached by the service worker
+
+/* ── Frame sequence ────────────────────────────────── */
+let sequence = null;
+
+/* ── Virtual scroll (eases #smooth-content; native mode puts it back in flow) ── */
+let scroller = null;
+const NATIVE_SCROLL_KEY = 'antigravity-scroll';
+let nativePreferred = false;
+
+/* ── Scroll timeline (reveals, [data-timeline] elements) ── */
+let timeline = null;
+
+// Scrubbed, so sections fade back out when scrolled away from
+const REVEAL_KEYFRAMES = [
+    { offset: 0, opacity: 0, y: 50 },
+    { offset: 1, opacity: 1, y: 0 },
+];
+const REVEAL_STAGGER = 40;     // px later per sibling, like the old transition-delay stagger
+
+/* ── Reduced motion (prefers-reduced-motion or the nav toggle) ── */
+let motion = null;
+let reducedMotion = false;
+
+/* ── Perf monitor (?debug HUD, telemetry beacon) ───── */
+let perf = null;
+let hud = null;
+const telemetry = [];
+
+/* ── Quality tiers (the governor steps down under load, back up with headroom) ── */
+// canvasLerp goes up: the playhead settles, and stops redrawing, sooner.
+// renditionDpr picks frames for that pixel ratio (null: the device's).
+const QUALITY_TIERS = {
+    high: { maxDpr: 2, mouseParallax: true, canvasLerp: CONFIG.CANVAS_LERP, blend: CONFIG.CANVAS_BLEND, renditionDpr: null },
+    medium: { maxDpr: 1.5, mouseParallax: true, canvasLerp: 0.22, blend: 'none', renditionDpr: null },
+    low: { maxDpr: 1, mouseParallax: false, canvasLerp: 0.35, blend: 'none', renditionDpr: 1 },
+};
+let governor = null;
+let quality = QUALITY_TIERS.high;
+let activeFrameSet = null;
+const frameSets = new Map();   // renditionDpr → Promise<frameSet>
+
+/* ── Input parallax: [data-depth] elements move depth px at full deflection ── */
+let input = null;
+let depthEls = [];             // { el, depth }
+
+/* ── Keyboard frame stepping (, and . — Shift for 10) ── */
+const FRAME_STEP_KEYS = { ',': -1, '.': 1, '<': -10, '>': 10 };
+
+/* ── Service Worker (frame cache versioned by manifest hash) ── */
+function registerSW(frameSet) {
+    registerServiceWorker('./sw.js', {
+        frames: frameSet.manifest && frameSet.manifest.hash,
+        rendition: frameSet.rendition && frameSet.rendition.id,
+        manifest: product.frames.manifest,
+        framePath: product.frames.path,
+        product: productPath,
+    });
+}
+
+/* ── Offline: only the frames already cached can load ── */
+function isOffline() {
+    return typeof navigator.onLine === 'boolean' && !navigator.onLine;
+}
+
+function cachedFrames(frameSet) {
+    const urls = Array.from({ length: frameSet.frameCount }, (_, i) => frameSet.frameUrl(i));
+    return findCached(urls).then((hits) => urls.map((_, i) => i).filter((i) => hits[i]));
+}
+
+/* ── Background precache of the chosen frame set ───── */
+function precacheFrameSet(frameSet) {
+    const urls = [...new Set(Array.from({ length: frameSet.frameCount }, (_, i) => frameSet.frameUrl(i)))];
+    const keyCount = Math.min(20, urls.length);
+    const keyframes = Array.from({ length: keyCount }, (_, i) =>
+        urls[Math.round(i * (urls.length - 1) / Math.max(keyCount - 1, 1))]);
+
+    precacheFrames({
+        urls,
+        keyframes,
+        bytes: frameSet.rendition && frameSet.rendition.bytes,
+    }).then((result) => {
+        if (result && (result.mode !== 'full' || result.failed.length)) {
+            debugLog(`precached ${result.cached} frames (${result.mode}), ${result.failed.length} failed`);
         }
+    }).catch((err) => console.warn('[antigravity]', err));
+}
+
+/* ── Frame URL builder (fallback when the manifest is unavailable) ── */
+function frameUrl(i) {
+    return `${product.frames.path}${String(i + 1).padStart(3, '0')}.png`;
+}
+
+function defaultFrameSet() {
+    return { frameCount: product.frames.count, frameUrl };
+}
+
+/* ── Frame set: best rendition from the manifest ───── */
+// `dpr` overrides the device pixel ratio the rendition is picked for
+function loadFrameSet(dpr) {
+    return resolveFrameSet(product.frames.manifest, { width: window.innerWidth, height: window.innerHeight, dpr })
+        .catch((err) => {
+            console.warn('[antigravity] frame manifest unavailable, using default frames', err);
+            return defaultFrameSet();
+        });
+}
+
+/* ── Scroll Handler (nav and hero state) ─────────── */
+function onScroll() {
+    if (DOM.nav) DOM.nav.classList.toggle('scrolled', window.scrollY > 80);
+    if (DOM.heroContent) DOM.heroContent.classList.toggle('faded', window.scrollY > window.innerHeight * 0.15);
+}
+
+/* ═══════════════════════════════════════════════════════
+   PAGE TICK (shares the engine's single rAF loop)
+   ═══════════════════════════════════════════════════════ */
+function animate(dt) {
+    // Frame times only count once the sequence has loaded (loading is always janky)
+    if (governor && sequence && sequence.ready) governor.sample(dt);
+
+    // ── Reduced motion: no parallax ──
+    if (reducedMotion) return;
+
+    // ── Eased scroll position (the virtual scroll ticks first) ──
+    state.smoothScrollY = scroller.y;
+
+    // ── Parallax layers (different speeds via translate3d) ──
+    if (DOM.layer1) {
+        DOM.layer1.style.transform = `translate3d(0, ${-(state.smoothScrollY * CONFIG.PARALLAX_SPEEDS.layer1)}px, 0)`;
     }
-
-    /* ── Canvas Sizing ─────────────────────────────────── */
-    function resizeCanvas() {
-        dpr = Math.min(window.devicePixelRatio || 1, 2);
-        canvasW = window.innerWidth;
-        canvasH = window.innerHeight;
-
-        const pw = canvasW * dpr;
-        const ph = canvasH * dpr;
-
-        DOM.canvas.width = pw;
-        DOM.canvas.height = ph;
-        DOM.canvas.style.width = canvasW + 'px';
-        DOM.canvas.style.height = canvasH + 'px';
-
-        offscreen = document.createElement('canvas');
-        offscreen.width = pw;
-        offscreen.height = ph;
-        offCtx = offscreen.getContext('2d', { alpha: false });
-
-        state.displayedFrame = -1;
-    }
-
-    /* ── Update body height to match content ────────────── */
-    function syncBodyHeight() {
-        if (!DOM.smoothContent) return;
-        state.contentHeight = DOM.smoothContent.offsetHeight;
-        document.body.style.height = state.contentHeight + 'px';
-    }
-
-    /* ── Draw Frame to Offscreen Buffer ────────────────── */
-    function drawFrameToBuffer(index) {
-        if (!offCtx) return;
-
-        let img = frames[index];
-        if (!img) {
-            for (let d = 1; d < CONFIG.FRAME_COUNT; d++) {
-                if (index - d >= 0 && frames[index - d]) { img = frames[index - d]; break; }
-                if (index + d < CONFIG.FRAME_COUNT && frames[index + d]) { img = frames[index + d]; break; }
-            }
-            if (!img) return;
-        }
-
-        const pw = canvasW * dpr;
-        const ph = canvasH * dpr;
-        const iw = img.width || img.naturalWidth;
-        const ih = img.height || img.naturalHeight;
-        const ir = iw / ih;
-        const cr = pw / ph;
-        let dw, dh, dx, dy;
-
-        if (cr > ir) {
-            dw = pw; dh = pw / ir; dx = 0; dy = (ph - dh) / 2;
-        } else {
-            dh = ph; dw = ph * ir; dx = (pw - dw) / 2; dy = 0;
-        }
-
-        offCtx.fillStyle = '#06050b';
-        offCtx.fillRect(0, 0, pw, ph);
-        offCtx.drawImage(img, dx, dy, dw, dh);
-    }
-
-    /* ── Blit ──────────────────────────────────────────── */
-    function blitBuffer() {
-        if (!offscreen) return;
-        ctx.drawImage(offscreen, 0, 0);
+    if (DOM.layer2) {
+        DOM.layer2.style.transform = `translate3d(0, ${-(state.smoothScrollY * CONFIG.PARALLAX_SPEEDS.layer2)}px, 0)`;
     }
 
-    /* ── Delta-time Lerp ───────────────────────────────── */
-    function lerp(current, target, factor, dt) {
-        const r = current + (target - current) * (1 - Math.pow(1 - factor, dt * CONFIG.TARGET_FPS));
-        return Math.abs(target - r) < 0.5 ? target : r;
-    }
+    // ── Input parallax: pointer, tilt or touch (translate3d for GPU compositing) ──
+    if (!quality.mouseParallax) return;
+    state.smoothMouseX += (state.mouseX - state.smoothMouseX) * 0.04;
+    state.smoothMouseY += (state.mouseY - state.smoothMouseY) * 0.04;
 
-    /* ── Scroll Handler (captures native scroll value) ── */
-    function onScroll() {
-        state.targetScrollY = window.scrollY;
+    const mx = state.smoothMouseX;
+    const my = state.smoothMouseY;
 
-        const max = document.documentElement.scrollHeight - window.innerHeight;
-        state.targetScrollProgress = max > 0 ? Math.min(window.scrollY / max, 1) : 0;
-        state.targetFrame = Math.min(
-            Math.round(state.targetScrollProgress * (CONFIG.FRAME_COUNT - 1)),
-            CONFIG.FRAME_COUNT - 1
-        );
-
-        if (DOM.nav) DOM.nav.classList.toggle('scrolled', window.scrollY > 80);
-        if (DOM.heroContent) DOM.heroContent.classList.toggle('faded', window.scrollY > window.innerHeight * 0.15);
-    }
-
-    /* ═══════════════════════════════════════════════════════
-       SINGLE rAF LOOP
-       ═══════════════════════════════════════════════════════ */
-    function animate(timestamp) {
-        const dt = Math.min((timestamp - state.lastTime) / 1000, 0.1) || 0.016;
-        state.lastTime = timestamp;
-
-        // ── Smooth scroll interpolation ──
-        state.smoothScrollY = lerp(state.smoothScrollY, state.targetScrollY, CONFIG.LERP_FACTOR, dt);
-        state.smoothScrollProgress = lerp(state.smoothScrollProgress, state.targetScrollProgress, CONFIG.CANVAS_LERP, dt);
-
-        // ── Virtual Scroll: translate the entire content container ──
-        if (DOM.smoothContent) {
-            DOM.smoothContent.style.transform = `translate3d(0, ${-state.smoothScrollY}px, 0)`;
-        }
-
-        // ── Parallax layers (different speeds via translate3d) ──
-        if (DOM.layer1) {
-            DOM.layer1.style.transform = `translate3d(0, ${-(state.smoothScrollY * CONFIG.PARALLAX_SPEEDS.layer1)}px, 0)`;
-        }
-        if (DOM.layer2) {
-            DOM.layer2.style.transform = `translate3d(0, ${-(state.smoothScrollY * CONFIG.PARALLAX_SPEEDS.layer2)}px, 0)`;
-        }
-
-        // ── Frame interpolation ──
-        const sf = lerp(
-            state.currentFrame < 0 ? state.targetFrame : state.currentFrame,
-            state.targetFrame,
-            CONFIG.CANVAS_LERP,
-            dt
-        );
-        state.currentFrame = sf;
-        const renderFrame = Math.round(sf);
-
-        // ── Canvas draw (only on frame change) ──
-        if (renderFrame !== state.displayedFrame && anyFrameReady) {
-            const cf = Math.min(Math.max(renderFrame, 0), CONFIG.FRAME_COUNT - 1);
-            drawFrameToBuffer(cf);
-            blitBuffer();
-            state.displayedFrame = cf;
-        }
-
-        // ── Mouse parallax (translate3d for GPU compositing) ──
-        state.smoothMouseX += (state.mouseX - state.smoothMouseX) * 0.04;
-        state.smoothMouseY += (state.mouseY - state.smoothMouseY) * 0.04;
-
-        const mx = state.smoothMouseX;
-        const my = state.smoothMouseY;
-
-        for (let i = 0; i < blobEls.length; i++) {
-            const f = 8 + i * 4;
-            blobEls[i].style.transform = `translate3d(${mx * f}px, ${my * f}px, 0)`;
-        }
-        for (let i = 0; i < shardEls.length; i++) {
-            const f = 5 + i * 3;
-            shardEls[i].style.transform = `translate3d(${mx * f}px, ${my * f}px, 0)`;
-        }
-
-        requestAnimationFrame(animate);
+    for (let i = 0; i < depthEls.length; i++) {
+        const { el, depth } = depthEls[i];
+        el.style.transform = `translate3d(${mx * depth}px, ${my * depth}px, 0)`;
     }
+}
+
+/* ── Parallax input ────────────────────────────────── */
+function readDepthEls() {
+    return Array.from($$('[data-depth]'))
+        .map((el) => ({ el, depth: Number(el.dataset.depth) }))
+        .filter(({ el, depth }) => {
+            if (Number.isFinite(depth)) return true;
+            console.warn('[antigravity] ignoring invalid data-depth on', el);
+            return false;
+        });
+}
+
+// iOS asks before sharing motion sensors; the nav button appears only there
+function initInput() {
+    input = createParallaxInput();
+    input.on('change', ({ x, y }) => {
+        state.mouseX = x;
+        state.mouseY = y;
+    });
+    input.start();
+
+    const toggle = $('#tilt-toggle');
+    if (!toggle || input.tilt !== 'prompt') return;
+    toggle.hidden = false;
+    toggle.addEventListener('click', () => {
+        input.requestTilt().then((granted) => {
+            toggle.setAttribute('aria-pressed', String(granted));
+            toggle.disabled = true;
+        });
+    });
+}
+
+/* ── Keyboard: step the sequence frame by frame ────── */
+function onFrameStepKey(e) {
+    const step = FRAME_STEP_KEYS[e.key];
+    if (!step || !sequence || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+
+    const y = sequence.scrollFor(Math.max(sequence.target, 0) + step);
+    if (y === null) return;
+    e.preventDefault();
+    window.scrollTo({ top: y, behavior: 'auto' });
+}
+
+/* ── Scroll timeline ───────────────────────────────── */
+function initTimeline() {
+    timeline = createScrollTimeline({ root: DOM.smoothContent, getScroll: () => scroller.y });
+
+    DOM.revealEls.forEach((el) => {
+        const index = Math.min(Array.prototype.indexOf.call(el.parentNode.children, el), 3);
+        timeline.add(el, { keyframes: REVEAL_KEYFRAMES, range: 'enter', ease: 'out', offset: index * REVEAL_STAGGER });
+    });
+
+    timeline.start();
+    // Reveals start hidden only now; if the page never gets here, content stays visible
+    document.documentElement.classList.add('timeline-ready');
+}
+
+/* ── Canvas effects (drawn by the sequence's renderer) ── */
+// Tint per section from data-sequence-tint="#rrggbb alpha", fading
+// into the next section's over the last quarter of the scroll
+const TINT_FADE = 0.75;
+const sectionTints = new WeakMap();
+
+function tintOf(el) {
+    if (!el) return null;
+    if (!sectionTints.has(el)) sectionTints.set(el, parseTint(el.dataset.sequenceTint));
+    return sectionTints.get(el);
+}
+
+function sectionTint(section) {
+    const tint = tintOf(section.el);
+    if (section.progress <= TINT_FADE) return tint;
+
+    const next = tintOf(section.el.nextElementSibling);
+    if (!tint && !next) return null;
+    const from = tint || [...next.slice(0, 3), 0];
+    const to = next || [...tint.slice(0, 3), 0];
+    const t = (section.progress - TINT_FADE) / (1 - TINT_FADE);
+    return from.map((v, i) => v + (to[i] - v) * t);
+}
+
+function canvasEffects({ progress, velocity, section }) {
+    const [vStart, vEnd] = CONFIG.VIGNETTE;
+    const fx = {
+        scale: 1,
+        aberration: 0,
+        vignette: vStart + (vEnd - vStart) * progress,
+        tint: section ? sectionTint(section) : null,
+    };
+    if (reducedMotion) return fx;
 
-    /* ── Intersection Observer ─────────────────────────── */
-    function initRevealObserver() {
-        // Use the smooth-wrapper as root so elements within the translated container are observed correctly
-        const obs = new IntersectionObserver((entries) => {
-            for (let i = 0; i < entries.length; i++) {
-                if (entries[i].isIntersecting) {
-                    entries[i].target.classList.add('visible');
-                    obs.unobserve(entries[i].target);
-                }
-            }
-        }, { threshold: 0.15, rootMargin: '0px 0px -60px 0px' });
-
-        DOM.revealEls.forEach((el) => obs.observe(el));
+    // Zoom through the hero, held afterwards
+    if (section) {
+        const heroProgress = section.el === DOM.heroSection ? section.progress : 1;
+        fx.scale = 1 + (CONFIG.HERO_SCALE_MAX - 1) * heroProgress;
     }
-
-    /* ── Smooth Nav ────────────────────────────────────── */
-    function initSmoothNav() {
-        $$('.nav-link[href^="#"]').forEach((link) => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
-                const t = document.querySelector(link.getAttribute('href'));
-                if (t) {
-                    // Since we use virtual scroll, scrollIntoView won't work correctly.
-                    // Instead, we set window.scrollTo using the element's offsetTop.
-                    window.scrollTo({ top: t.offsetTop, behavior: 'smooth' });
-                }
-            });
+    const speed = Math.min(Math.abs(velocity) / CONFIG.ABERRATION_SPEED, 1);
+    fx.aberration = Math.round(speed * CONFIG.ABERRATION_MAX * 1e4) / 1e4;
+    return fx;
+}
+
+/* ── Smooth Nav ────────────────────────────────────── */
+// Eased scroll to the section; the hash still updates for sharing and Back
+function initSmoothNav() {
+    $$('.nav-link[href^="#"]').forEach((link) => {
+        link.addEventListener('click', (e) => {
+            const hash = link.getAttribute('href');
+            if (!scroller.scrollToHash(hash, { behavior: reducedMotion ? 'auto' : 'smooth' })) return;
+            e.preventDefault();
+            if (location.hash !== hash) history.pushState(null, '', hash);
         });
+    });
+}
+
+/* ── Section and timeline offsets moved ───────────── */
+function relayout() {
+    if (sequence) sequence.refresh();
+    if (timeline) timeline.refresh();
+}
+
+/* ── Native scroll mode (nav toggle; forced by reduced motion) ── */
+function readNativePreference() {
+    try {
+        return localStorage.getItem(NATIVE_SCROLL_KEY) === 'native';
+    } catch (err) {
+        return false;
     }
+}
 
-    /* ── Debounced Resize ──────────────────────────────── */
-    let resizeTimer;
-    function onResize() {
-        clearTimeout(resizeTimer);
-        resizeTimer = setTimeout(() => {
-            resizeCanvas();
-            syncBodyHeight();
-            if (state.displayedFrame >= 0) {
-                drawFrameToBuffer(state.displayedFrame);
-                blitBuffer();
-            }
-        }, 100);
+function applyScrollMode() {
+    scroller.setNative(reducedMotion || nativePreferred);
+    if (DOM.scrollToggle) {
+        DOM.scrollToggle.setAttribute('aria-pressed', String(scroller.native));
+        DOM.scrollToggle.disabled = reducedMotion;
     }
-
-    /* ── Initialize ─────────────────────────────────────── */
-    function init() {
-        // Cache DOM
-        DOM.layer1 = $('#parallax-layer-1');
-        DOM.layer2 = $('#parallax-layer-2');
-        DOM.canvas = $('#frame-canvas');
-        DOM.heroSection = $('#hero');
-        DOM.heroContent = $('.hero-content');
-        DOM.nav = $('#main-nav');
-        DOM.smoothWrapper = $('#smooth-wrapper');
-        DOM.smoothContent = $('#smooth-content');
-        DOM.revealEls = $$('.reveal-up');
-
-        ctx = DOM.canvas.getContext('2d', { alpha: false });
-        blobEls = Array.from(document.querySelectorAll('.chrome-blob'));
-        shardEls = Array.from(document.querySelectorAll('.crystal-shard'));
-
-        // Register Service Worker
-        registerSW();
-
-        // Rotating loading messages
-        msgTimer = setInterval(rotateLoadingMessage, 2500);
-
-        // Sync body height for virtual scroll
-        syncBodyHeight();
-
-        // Start loading
-        preloadFrames();
-        initRevealObserver();
-        initSmoothNav();
-
-        // Events
-        window.addEventListener('scroll', onScroll, { passive: true });
-        window.addEventListener('resize', onResize, { passive: true });
-        document.addEventListener('mousemove', (e) => {
-            state.mouseX = (e.clientX / window.innerWidth - 0.5) * 2;
-            state.mouseY = (e.clientY / window.innerHeight - 0.5) * 2;
-        }, { passive: true });
-
-        onScroll();
-        requestAnimationFrame(animate);
+}
+
+function initScroll() {
+    nativePreferred = readNativePreference();
+    scroller = createVirtualScroll({
+        wrapper: DOM.smoothWrapper,
+        content: DOM.smoothContent,
+        lerp: CONFIG.LERP_FACTOR,
+        targetFps: CONFIG.TARGET_FPS,
+        native: nativePreferred,
+        topInset: () => (DOM.nav ? DOM.nav.offsetHeight : 0),
+    });
+    // Fonts and images change the content height without a resize event
+    scroller.on('resize', relayout);
+    scroller.on('mode', relayout);
+
+    if (DOM.scrollToggle) {
+        DOM.scrollToggle.addEventListener('click', () => {
+            nativePreferred = !nativePreferred;
+            try {
+                localStorage.setItem(NATIVE_SCROLL_KEY, nativePreferred ? 'native' : 'virtual');
+            } catch (err) { /* not persisted */ }
+            applyScrollMode();
+        });
     }
-
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
+    scroller.start();
+}
+
+/* ── Motion mode ───────────────────────────────────── */
+function applyMotion(reduced) {
+    reducedMotion = reduced;
+    document.documentElement.classList.toggle('reduced-motion', reduced);
+    if (DOM.motionToggle) DOM.motionToggle.setAttribute('aria-pressed', String(reduced));
+
+    if (reduced) clearTransforms([DOM.layer1, DOM.layer2, ...depthEls.map((d) => d.el)]);
+    if (timeline) timeline.setEnabled(!reduced);
+
+    // Native flow: the browser scrolls focused elements into view itself
+    applyScrollMode();
+    if (sequence) sequence.setStills(reduced ? CONFIG.REDUCED_STILLS : 0);
+}
+
+function clearTransforms(els) {
+    els.forEach((el) => {
+        if (el) el.style.transform = '';
+    });
+}
+
+function initMotion() {
+    motion = createMotionPreference();
+    motion.on('change', ({ reduced }) => applyMotion(reduced));
+    if (DOM.motionToggle) DOM.motionToggle.addEventListener('click', () => motion.toggle());
+    applyMotion(motion.reduced);
+}
+
+/* ── Product config → page ───────────────────────── */
+function productUrl() {
+    const name = new URLSearchParams(location.search).get('product');
+    if (name && !/^[a-z0-9-]+$/.test(name)) console.warn(`[antigravity] ignoring product "${name}"`);
+    return `./products/${name && /^[a-z0-9-]+$/.test(name) ? name : CONFIG.PRODUCT}.json`;
+}
+
+// An invalid config lists its problems on the page instead of loading forever
+function showConfigError(err) {
+    console.error('[antigravity] product config unusable:', err.message);
+    renderConfigError(err, { content: $('#smooth-content') });
+    $('#preloader').classList.add('hidden');
+}
+
+// Anything that breaks after the config rendered: the page stays, without the loader
+function showStartError(err) {
+    console.error('[antigravity] frame sequence failed to start:', err);
+    $('#preloader').classList.add('hidden');
+}
+
+/* ── Initialize ─────────────────────────────────────── */
+function init() {
+    productPath = productUrl();
+    loadProduct(productPath).then((config) => {
+        product = config;
+        renderProduct(product, {
+            content: $('#smooth-content'),
+            navLinks: $('.nav-links'),
+            logo: $('.nav-logo'),
+        });
+        $('.loader-logo').textContent = product.logo;
+        $('#loader-status').textContent = product.loadingMessages[0];
+    }).then(initPage, showConfigError).catch(showStartError);
+}
+
+function initPage() {
+    // Cache DOM
+    DOM.layer1 = $('#parallax-layer-1');
+    DOM.layer2 = $('#parallax-layer-2');
+    DOM.canvas = $('#frame-canvas');
+    DOM.heroSection = $('.hero-section');
+    DOM.heroContent = $('.hero-content');
+    DOM.nav = $('#main-nav');
+    DOM.smoothWrapper = $('#smooth-wrapper');
+    DOM.smoothContent = $('#smooth-content');
+    DOM.revealEls = $$('.reveal-up');
+    DOM.motionToggle = $('#motion-toggle');
+    DOM.scrollToggle = $('#scroll-toggle');
+
+    depthEls = readDepthEls();
+
+    // Virtual scroll before the motion mode, which may switch it to native
+    initScroll();
+    initTimeline();
+    initMotion();
+    initQuality();
+
+    initSmoothNav();
+    initInput();
+
+    // Events
+    window.addEventListener('scroll', onScroll, { passive: true });
+    document.addEventListener('keydown', onFrameStepKey);
+
+    onScroll();
+    addTicker(animate);
+    initPerf();
+
+    const initialFrames = loadFrameSet();
+    frameSets.set(null, initialFrames);
+    initialFrames.then((frameSet) => {
+        registerSW(frameSet);
+        if (!isOffline()) return startFrameSet(frameSet, null);
+
+        // Low-fidelity sequence from cached keyframes; the rest load once back online
+        return cachedFrames(frameSet).then((onlyFrames) => {
+            debugLog(`offline: ${onlyFrames.length} of ${frameSet.frameCount} frames cached`);
+            startFrameSet(frameSet, onlyFrames);
+        }, (err) => {
+            console.warn('[antigravity] frame cache unreadable, loading every frame', err);
+            startFrameSet(frameSet, null);
+        });
+    }).then(() => {
+        window.addEventListener('online', () => {
+            if (sequence) sequence.retryFrames();
+        });
+    }).catch(showStartError);
+}
+
+/* ── Quality governor ──────────────────────────────── */
+function applyQuality(name) {
+    quality = QUALITY_TIERS[name];
+    if (!quality.mouseParallax) clearTransforms(depthEls.map((d) => d.el));
+    if (!sequence) return;
+
+    sequence.setMaxDpr(quality.maxDpr).setCanvasLerp(quality.canvasLerp).setBlend(quality.blend);
+    switchRendition(quality.renditionDpr);
+}
+
+// Restarts the sequence on the other rendition; the frames around the
+// playhead load first. Offline, the cached frames are all there is.
+function switchRendition(dpr) {
+    if (isOffline() || !activeFrameSet || !activeFrameSet.rendition) return;
+    if (!frameSets.has(dpr)) frameSets.set(dpr, loadFrameSet(dpr));
+
+    frameSets.get(dpr).then((frameSet) => {
+        // The tier moved on while the manifest loaded, or nothing changes
+        if (quality.renditionDpr !== dpr || !frameSet.rendition) return;
+        if (frameSet.rendition.id === activeFrameSet.rendition.id) return;
+        debugLog(`quality ${governor.tier}: switching to ${frameSet.rendition.id} frames`);
+        sequence.destroy();
+        startFrameSet(frameSet, null, { swap: true });
+    }).catch(showStartError);
+}
+
+function initQuality() {
+    governor = createQualityGovernor({ tiers: Object.keys(QUALITY_TIERS), targetFps: CONFIG.TARGET_FPS });
+    governor.on('change', ({ tier, previous, reason }) => {
+        debugLog(`quality ${previous} → ${tier} (${reason})`);
+        applyQuality(tier);
+    });
+}
+
+/* ── Perf monitor: ?debug HUD and the telemetry beacon ── */
+function initPerf() {
+    const debug = new URLSearchParams(location.search).has('debug');
+    if (!debug && !CONFIG.TELEMETRY_URL) return;
+
+    perf = createPerfMonitor({ targetFps: CONFIG.TARGET_FPS, cacheStats: getCacheStats }).start();
+    if (debug) hud = createDebugHud({ monitor: perf });
+    if (CONFIG.TELEMETRY_URL) initTelemetry();
+}
+
+// Page events worth seeing while tuning, not in production consoles
+function debugLog(message) {
+    if (hud) hud.log(message);
+}
+
+// Samples queue up and go out in one beacon when the page is hidden or closed
+function initTelemetry() {
+    perf.on('sample', (sample) => {
+        telemetry.push(sample);
+        if (telemetry.length > CONFIG.TELEMETRY_MAX_SAMPLES) telemetry.shift();
+    });
+
+    const flush = () => {
+        if (!telemetry.length || typeof navigator.sendBeacon !== 'function') return;
+        const body = JSON.stringify({ page: location.pathname, samples: telemetry.splice(0) });
+        navigator.sendBeacon(CONFIG.TELEMETRY_URL, new Blob([body], { type: 'application/json' }));
+    };
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flush();
+    });
+    window.addEventListener('pagehide', flush);
+}
+
+/* ── Frame sequence (loads frames, owns the preloader) ── */
+// A manifest frame set the engine rejects falls back to the default frames
+function startFrameSet(frameSet, onlyFrames, options) {
+    try {
+        startSequence(frameSet, onlyFrames, options);
+    } catch (err) {
+        if (!frameSet.manifest) throw err;
+        console.warn('[antigravity] frame set unusable, using default frames', err);
+        startSequence(defaultFrameSet(), null, options);
     }
-
-})();
+}
+
+// `swap`: a quality tier changed the rendition mid-session (no preloader, no precache)
+function startSequence(frameSet, onlyFrames, { swap = false } = {}) {
+    if (onlyFrames) $('#loader-status').textContent = OFFLINE_MESSAGES[0];
+
+    activeFrameSet = frameSet;
+    sequence = createScrollSequence({
+        canvas: DOM.canvas,
+        ...frameSet,
+        maxDpr: quality.maxDpr,
+        canvasLerp: quality.canvasLerp,
+        blend: quality.blend,
+        renderer: CONFIG.CANVAS_RENDERER,
+        effects: canvasEffects,
+        stills: reducedMotion ? CONFIG.REDUCED_STILLS : 0,
+        targetFps: CONFIG.TARGET_FPS,
+        preloadRadius: CONFIG.PRELOAD_RADIUS,
+        batchLoad: CONFIG.BATCH_LOAD,
+        minFramesToStart: CONFIG.MIN_FRAMES_TO_START,
+        onlyFrames,
+        ranges: DOM.smoothContent,
+        preloader: swap ? null : {
+            root: $('#preloader'),
+            progress: $('#loader-progress'),
+            bar: $('#loader-bar-inner'),
+            status: $('#loader-status'),
+        },
+        loadingMessages: onlyFrames ? OFFLINE_MESSAGES : product.loadingMessages,
+    });
+    sequence.start();
+    if (perf) perf.setSequence(sequence);
+
+    // Wait until the visible frames are in so the precache doesn't compete with them
+    if (!onlyFrames && !swap) sequence.on('ready', () => precacheFrameSet(frameSet));
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
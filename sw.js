@@ -1,12 +1,45 @@
 /* ═══════════════════════════════════════════════════════════
    ANTIGRAVITY — Service Worker
    Cache-first strategy for frames, stale-while-revalidate
-   for static assets (HTML, CSS, JS, fonts)
+   for static assets (HTML, CSS, JS, fonts), network-first
+   navigations with the cached page as the offline shell
+
+   Cache names are versioned: BUILD is stamped at deploy time
+   (see .github/workflows/static.yml) and the frame cache is
+   keyed by the frame manifest hash passed at registration
+   (sw.js?frames=<hash>&rendition=<id>&manifest=<path>). Either changing installs
+   a new worker whose activate step drops the stale caches.
+
+   The product comes from the registration too: &product=<config
+   path> is cached with the static assets, and frame requests are
+   those under the manifest's folder or &framePath=<folder>.
    ═══════════════════════════════════════════════════════════ */
 
-const CACHE_NAME = 'antigravity-v1';
-const STATIC_CACHE = 'antigravity-static-v1';
-const FRAME_CACHE = 'antigravity-frames-v1';
+const BUILD = '__BUILD__';
+const CACHE_PREFIX = 'antigravity-';
+const SW_PARAMS = new URL(self.location.href).searchParams;
+const FRAMES_VERSION = SW_PARAMS.get('frames') || 'default';
+const FRAME_RENDITION = SW_PARAMS.get('rendition');
+// Registration paths are taken only when relative to the site
+function relativeParam(name, pattern) {
+    const value = SW_PARAMS.get(name);
+    return value && pattern.test(value) ? value : null;
+}
+// The product's config and manifest (sw.js?product=./products/x.json&manifest=./path/manifest.json)
+const PRODUCT_CONFIG = relativeParam('product', /^\.\/[\w\-./]+\.json$/);
+const FRAME_MANIFEST = relativeParam('manifest', /^\.\/[\w\-./]+\.json$/) || './frames/manifest.json';
+// Folders whose images are frames: the manifest's renditions, and the default set (frames.path)
+const FRAME_FOLDERS = [...new Set([FRAME_MANIFEST, relativeParam('framePath', /^\.\/[\w\-./]*\/$/)]
+    .filter(Boolean)
+    .map((path) => new URL(path, self.location.href).pathname.replace(/[^/]*$/, '')))];
+const INSTALL_KEYFRAMES = 20;
+
+const STATIC_CACHE = `${CACHE_PREFIX}static-${BUILD}`;
+const FRAME_CACHE = `${CACHE_PREFIX}frames-${FRAMES_VERSION}`;
+
+// Frame requests answered from FRAME_CACHE vs the network, since this worker
+// started (the browser may stop an idle worker, which resets them)
+const frameStats = { hits: 0, misses: 0 };
 
 // Static assets to pre-cache on install
 const STATIC_ASSETS = [
@@ -14,24 +47,56 @@ const STATIC_ASSETS = [
     './index.html',
     './style.css',
     './script.js',
+    './engine/scroll-sequence.js',
+    './engine/emitter.js',
+    './engine/ticker.js',
+    './engine/math.js',
+    './engine/scroll-ranges.js',
+    './engine/frame-loader.js',
+    './engine/bitmap-decoder.js',
+    './engine/decode-worker.js',
+    './engine/frame-cache.js',
+    './engine/frame-manifest.js',
+    './engine/frame-atlas.js',
+    './engine/sw-client.js',
+    './engine/motion-preference.js',
+    './engine/virtual-scroll.js',
+    './engine/scroll-timeline.js',
+    './engine/renderer.js',
+    './engine/renderer-2d.js',
+    './engine/renderer-webgl.js',
+    './engine/perf-monitor.js',
+    './engine/debug-hud.js',
+    './engine/quality-governor.js',
+    './engine/parallax-input.js',
+    './engine/product-config.js',
+    './engine/product-page.js',
+    ...(PRODUCT_CONFIG ? [PRODUCT_CONFIG] : []),
+    FRAME_MANIFEST,
 ];
 
-/* ── Install: pre-cache static assets ──────────────────── */
+// Same stylesheet index.html links; its font files are cached at install too
+const FONT_CSS = 'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700;800;900&family=Space+Grotesk:wght@300;400;500;600;700&display=swap';
+
+/* ── Install: pre-cache static assets, fonts, keyframes ── */
+// Fonts and keyframes are best-effort: a CDN hiccup must not block install
 self.addEventListener('install', (event) => {
     event.waitUntil(
-        caches.open(STATIC_CACHE)
-            .then((cache) => cache.addAll(STATIC_ASSETS))
-            .then(() => self.skipWaiting())
+        Promise.all([
+            caches.open(STATIC_CACHE).then((cache) => cache.addAll(STATIC_ASSETS)),
+            precacheFonts().catch(() => { }),
+            precacheKeyframes().catch(() => { }),
+        ]).then(() => self.skipWaiting())
     );
 });
 
-/* ── Activate: clean up old caches ─────────────────────── */
+/* ── Activate: drop this app's caches from other versions ── */
 self.addEventListener('activate', (event) => {
     const validCaches = [STATIC_CACHE, FRAME_CACHE];
     event.waitUntil(
         caches.keys()
             .then((keys) => Promise.all(
-                keys.filter((k) => !validCaches.includes(k))
+                keys.filter((k) => k.startsWith(CACHE_PREFIX) && !validCaches.includes(k))
                     .map((k) => caches.delete(k))
             ))
             .then(() => self.clients.claim())
@@ -42,9 +107,15 @@ self.addEventListener('activate', (event) => {
 self.addEventListener('fetch', (event) => {
     const url = new URL(event.request.url);
 
-    // Frame images → cache-first (immutable assets)
-    if (url.pathname.includes('/frames/') && url.pathname.endsWith('.png')) {
-        event.respondWith(cacheFirst(event.request, FRAME_CACHE));
+    // Page loads → network-first, cached shell when offline
+    if (event.request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(event.request));
+        return;
+    }
+
+    // Frame images (any rendition format) → cache-first (immutable assets)
+    if (isFrameUrl(url)) {
+        event.respondWith(cacheFirst(event.request, FRAME_CACHE, frameStats));
         return;
     }
 
@@ -58,16 +129,46 @@ self.addEventListener('fetch', (event) => {
     event.respondWith(cacheFirst(event.request, STATIC_CACHE));
 });
 
+function isFrameUrl(url) {
+    return url.origin === self.location.origin && /\.(png|webp|avif|jpe?g)$/.test(url.pathname) &&
+        FRAME_FOLDERS.some((folder) => url.pathname.startsWith(folder));
+}
+
+/* ── Messages: background frame precache, cache stats ──── */
+// in:  { type: 'precache', urls, keyframes, bytes } + a MessagePort
+// out: { type: 'progress', done, total, mode }  then
+//      { type: 'done', cached, failed, mode }    mode: 'full' | 'keyframes'
+// in:  { type: 'stats' } + a MessagePort
+// out: { type: 'stats', hits, misses }
+self.addEventListener('message', (event) => {
+    const msg = event.data || {};
+    const port = event.ports && event.ports[0];
+    if (!port) return;
+    if (msg.type === 'stats') {
+        port.postMessage({ type: 'stats', ...frameStats });
+        return;
+    }
+    if (msg.type !== 'precache') return;
+
+    event.waitUntil(
+        precacheFrames(msg, port).catch((err) => {
+            port.postMessage({ type: 'error', message: String(err && err.message || err) });
+        })
+    );
+});
+
 /* ── Cache-First Strategy ──────────────────────────────── */
-async function cacheFirst(request, cacheName) {
-    const cached = await caches.match(request);
+async function cacheFirst(request, cacheName, stats) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (stats) stats[cached ? 'hits' : 'misses']++;
     if (cached) return cached;
 
     try {
         const response = await fetch(request);
         if (response.ok) {
-            const cache = await caches.open(cacheName);
-            cache.put(request, response.clone());
+            // A full quota only costs us the cache entry
+            cache.put(request, response.clone()).catch(() => { });
         }
         return response;
     } catch (err) {
@@ -83,7 +184,7 @@ async function staleWhileRevalidate(request, cacheName) {
     // Always fetch fresh in background
     const fetchPromise = fetch(request).then((response) => {
         if (response.ok) {
-            cache.put(request, response.clone());
+            cache.put(request, response.clone()).catch(() => { });
         }
         return response;
     }).catch(() => cached);
@@ -91,3 +192,125 @@ async function staleWhileRevalidate(request, cacheName) {
     // Return cached immediately if available, otherwise wait for network
     return cached || fetchPromise;
 }
+
+/* ── Network-First Navigation ──────────────────────────── */
+async function networkFirstPage(request) {
+    const cache = await caches.open(STATIC_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone()).catch(() => { });
+        return response;
+    } catch (err) {
+        const shell = (await cache.match(request, { ignoreSearch: true })) || (await cache.match('./index.html'));
+        return shell || new Response('<!DOCTYPE html><title>Offline</title><p>You are offline.</p>', {
+            status: 503,
+            headers: { 'Content-Type': 'text/html; charset=utf-8' },
+        });
+    }
+}
+
+/* ── Install-time Precache ─────────────────────────────── */
+async function precacheFonts() {
+    const cache = await caches.open(STATIC_CACHE);
+    const response = await fetch(FONT_CSS, { mode: 'cors' });
+    if (!response.ok) return;
+    const css = await response.clone().text();
+    await cache.put(FONT_CSS, response);
+
+    const fontUrls = [...css.matchAll(/url\((https:\/\/fonts\.gstatic\.com\/[^)]+)\)/g)].map((m) => m[1]);
+    await Promise.all(fontUrls.map(async (url) => {
+        const font = await fetch(url, { mode: 'cors' });
+        if (font.ok) await cache.put(url, font);
+    }));
+}
+
+// Mirrors renditionFrameUrl() in engine/frame-manifest.js (this is a classic worker)
+function renditionUrls(rendition, base) {
+    const resolve = (file) => new URL((rendition.base || '') + file, base).href;
+    if (rendition.atlas) return rendition.atlas.frames.map((f) => resolve(rendition.atlas.sheets[f[0]]));
+    if (Array.isArray(rendition.files)) return rendition.files.map(resolve);
+
+    const count = rendition.frameCount;
+    return Array.from({ length: count }, (_, i) =>
+        resolve(rendition.pattern.replace('{n}', String((rendition.start || 1) + i).padStart(rendition.pad || 0, '0'))));
+}
+
+// Evenly spaced frames of the page's rendition, enough for an offline sequence
+async function precacheKeyframes() {
+    const manifestUrl = new URL(FRAME_MANIFEST, self.location.href).href;
+    const manifest = await (await fetch(manifestUrl)).json();
+    const rendition = manifest.renditions.find((r) => r.id === FRAME_RENDITION) || manifest.renditions[0];
+    if (!rendition.frameCount) rendition.frameCount = Math.ceil(manifest.frameCount / (rendition.step || 1));
+
+    // Deduplicated first, as precacheFrameSet() in script.js does, so both pick the same set
+    const urls = [...new Set(renditionUrls(rendition, manifestUrl))];
+    const count = Math.min(INSTALL_KEYFRAMES, urls.length);
+    const keyframes = Array.from({ length: count }, (_, i) =>
+        urls[Math.round(i * (urls.length - 1) / Math.max(count - 1, 1))]);
+
+    const cache = await caches.open(FRAME_CACHE);
+    await Promise.all(keyframes.map(async (url) => {
+        if (await cache.match(url)) return;
+        const response = await fetch(url);
+        if (response.ok) await cache.put(url, response);
+    }));
+}
+
+/* ── Frame Precache ────────────────────────────────────── */
+function isQuotaError(err) {
+    return !!err && (err.name === 'QuotaExceededError' || err.code === 22);
+}
+
+// Not enough estimated space for the whole set → keyframes only
+async function fitsQuota(bytes) {
+    if (!(bytes > 0) || !self.navigator.storage || !self.navigator.storage.estimate) return true;
+    const { usage = 0, quota = Infinity } = await self.navigator.storage.estimate();
+    return quota - usage > bytes * 1.1;
+}
+
+async function precacheFrames({ urls = [], keyframes = [], bytes = 0 }, port) {
+    const cache = await caches.open(FRAME_CACHE);
+    let mode = (await fitsQuota(bytes)) ? 'full' : 'keyframes';
+    let queue = mode === 'full' ? urls : keyframes;
+    let done = 0;
+    let cached = 0;
+    const failed = [];
+
+    const report = () => port.postMessage({ type: 'progress', done, total: queue.length, mode });
+
+    async function cacheOne(url) {
+        if (await cache.match(url)) {
+            cached++;
+            return;
+        }
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        await cache.put(url, response);
+        cached++;
+    }
+
+    for (let i = 0; i < queue.length; i++) {
+        try {
+            await cacheOne(queue[i]);
+        } catch (err) {
+            if (isQuotaError(err) && mode === 'full') {
+                // Out of space mid-way: keep only keyframes and start over on them
+                mode = 'keyframes';
+                const keep = new Set(keyframes.map((u) => new URL(u, self.location.href).href));
+                const entries = await cache.keys();
+                await Promise.all(entries.filter((req) => !keep.has(req.url)).map((req) => cache.delete(req)));
+                queue = keyframes;
+                i = -1;
+                done = cached = 0;
+                failed.length = 0;
+                report();
+                continue;
+            }
+            failed.push(queue[i]);
+        }
+        done++;
+        report();
+    }
+
+    port.postMessage({ type: 'done', cached, failed, mode });
+}
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+
+import { inspectPng } from '../tools/build-frames.mjs';
+
+/* ── Minimal PNG encoder ───────────────────────────────── */
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+function crc32(buf) {
+    let c = -1;
+    for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ -1) >>> 0;
+}
+
+function chunk(type, data) {
+    const out = Buffer.alloc(12 + data.length);
+    out.writeUInt32BE(data.length, 0);
+    out.write(type, 4, 'latin1');
+    data.copy(out, 8);
+    out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+    return out;
+}
+
+// pixel(x, y) → bytes of one pixel; `filter` 1 (Sub) exercises unfiltering
+function png({ width, height, colorType, pixel, filter = 0, plte = null, trns = null }) {
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+        const raw = Buffer.alloc(width * channels);
+        for (let x = 0; x < width; x++) Buffer.from(pixel(x, y)).copy(raw, x * channels);
+        const line = Buffer.alloc(raw.length + 1);
+        line[0] = filter;
+        for (let i = 0; i < raw.length; i++) {
+            line[i + 1] = filter === 1 ? (raw[i] - (i >= channels ? raw[i - channels] : 0)) & 0xff : raw[i];
+        }
+        rows.push(line);
+    }
+
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8;
+    ihdr[9] = colorType;
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', ihdr),
+        ...(plte ? [chunk('PLTE', Buffer.from(plte))] : []),
+        ...(trns ? [chunk('tRNS', Buffer.from(trns))] : []),
+        chunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+        chunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+test('an opaque black frame is not blank', () => {
+    const black = png({ width: 640, height: 360, colorType: 2, pixel: () => [0, 0, 0] });
+    assert.deepEqual(inspectPng(black), { width: 640, height: 360 });
+
+    const blackRgba = png({ width: 64, height: 36, colorType: 6, pixel: () => [0, 0, 0, 255], filter: 1 });
+    assert.deepEqual(inspectPng(blackRgba), { width: 64, height: 36 });
+});
+
+test('a fully transparent frame is blank', () => {
+    const empty = png({ width: 64, height: 36, colorType: 6, pixel: () => [0, 0, 0, 0] });
+    assert.throws(() => inspectPng(empty), /blank frame/);
+
+    // Colour but no alpha is still invisible
+    const clear = png({ width: 64, height: 36, colorType: 6, pixel: (x) => [x, 40, 200, 0], filter: 1 });
+    assert.throws(() => inspectPng(clear), /blank frame/);
+
+    const grey = png({ width: 64, height: 36, colorType: 4, pixel: () => [128, 0] });
+    assert.throws(() => inspectPng(grey), /blank frame/);
+});
+
+test('one visible pixel is enough', () => {
+    const dot = png({ width: 64, height: 36, colorType: 6, pixel: (x, y) => [0, 0, 0, x === 63 && y === 35 ? 1 : 0] });
+    assert.deepEqual(inspectPng(dot), { width: 64, height: 36 });
+});
+
+test('palette frames are blank only when every used entry is transparent', () => {
+    const plte = [0, 0, 0, 255, 255, 255];
+    const transparent = png({ width: 64, height: 36, colorType: 3, pixel: () => [0], plte, trns: [0] });
+    assert.throws(() => inspectPng(transparent), /blank frame/);
+
+    const opaque = png({ width: 64, height: 36, colorType: 3, pixel: () => [0], plte });
+    assert.deepEqual(inspectPng(opaque), { width: 64, height: 36 });
+
+    // Entry 1 is past the end of tRNS, so opaque
+    const mixed = png({ width: 64, height: 36, colorType: 3, pixel: (x) => [x === 5 ? 1 : 0], plte, trns: [0] });
+    assert.deepEqual(inspectPng(mixed), { width: 64, height: 36 });
+});
+
+test('truncated and corrupt files are rejected', () => {
+    const frame = png({ width: 64, height: 36, colorType: 2, pixel: () => [10, 20, 30] });
+    assert.throws(() => inspectPng(frame.subarray(0, frame.length - 12)), /missing IEND/);
+    assert.throws(() => inspectPng(Buffer.from('not a png at all, just some bytes here')), /not a PNG/);
+
+    const bad = Buffer.from(frame);
+    bad[40] ^= 0xff;
+    assert.throws(() => inspectPng(bad), /bad CRC/);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import vm from 'node:vm';
+
+const WORKER_SOURCE = fs.readFileSync(new URL('../engine/decode-worker.js', import.meta.url), 'utf8');
+
+/* ── Worker scope: bitmaps carry the alpha the probe reads back ── */
+function loadWorker() {
+    const listeners = new Map();
+    const posted = [];
+    const bitmaps = [];
+
+    function createImageBitmap(source, options = {}) {
+        const bitmap = {
+            width: options.resizeWidth || 1920,
+            height: options.resizeHeight || 1080,
+            alpha: source.alpha,
+            closed: false,
+            close() { this.closed = true; },
+        };
+        bitmaps.push(bitmap);
+        return Promise.resolve(bitmap);
+    }
+
+    class OffscreenCanvas {
+        getContext() {
+            let alpha = 0;
+            return {
+                clearRect() { alpha = 0; },
+                drawImage(bitmap) { alpha = bitmap.alpha; },
+                getImageData: (x, y, w, h) => ({ data: new Uint8ClampedArray(w * h * 4).fill(alpha) }),
+            };
+        }
+    }
+
+    const context = {
+        // The response body's alpha comes from the URL: …?alpha=0
+        fetch: async (url) => ({ ok: true, blob: async () => ({ alpha: Number(new URL(url).searchParams.get('alpha')) }) }),
+        createImageBitmap,
+        OffscreenCanvas,
+        AbortController,
+        Map,
+        Error,
+        URL,
+        performance,
+        addEventListener(type, fn) { listeners.set(type, fn); },
+        postMessage(msg) { posted.push(msg); },
+    };
+    context.self = context;
+    vm.createContext(context);
+    vm.runInContext(WORKER_SOURCE, context, { filename: 'decode-worker.js' });
+
+    // Post a decode request and wait for its reply
+    async function decode(msg) {
+        listeners.get('message')({ data: { type: 'decode', width: 0, height: 0, ...msg } });
+        for (let i = 0; i < 20 && !posted.some((p) => p.id === msg.id); i++) await new Promise(setImmediate);
+        return posted.find((p) => p.id === msg.id);
+    }
+
+    return { decode, bitmaps };
+}
+
+test('a fully transparent frame is rejected in the worker as blank', async () => {
+    const worker = loadWorker();
+    const reply = await worker.decode({ id: 1, url: 'https://example.test/f/0.png?alpha=0', detectBlank: true });
+    assert.equal(reply.reason, 'blank');
+    assert.match(reply.error, /fully transparent/);
+    assert.equal(reply.bitmap, undefined);
+    assert.ok(worker.bitmaps[0].closed);
+});
+
+test('opaque frames, and any frame without detectBlank, decode normally', async () => {
+    const worker = loadWorker();
+    const opaque = await worker.decode({ id: 1, url: 'https://example.test/f/0.png?alpha=255', detectBlank: true });
+    assert.equal(opaque.sourceWidth, 1920);
+    assert.ok(opaque.bitmap);
+
+    const unchecked = await worker.decode({ id: 2, url: 'https://example.test/f/1.png?alpha=0' });
+    assert.ok(unchecked.bitmap);
+    assert.equal(unchecked.reason, undefined);
+});
+
+test('the worker downscales to cover the target size', async () => {
+    const worker = loadWorker();
+    const reply = await worker.decode({ id: 1, url: 'https://example.test/f/0.png?alpha=255', width: 960, height: 400 });
+    assert.deepEqual([reply.bitmap.width, reply.bitmap.height, reply.sourceWidth], [960, 540, 1920]);
+    assert.ok(worker.bitmaps[0].closed);
+});
@@ -0,0 +1,301 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Test Fakes: Browser
+   Just enough window/document/canvas/Image for the engine to
+   run headless under node:test. Time is manual: timers fire on
+   clock.advance(ms), rAF callbacks on raf.step(), and images
+   load or fail on images.flush(); fake decode workers answer
+   through reply().
+   ═══════════════════════════════════════════════════════════ */
+
+import { EventEmitter } from 'node:events';
+
+/* ── Canvas: 2D contexts record their draws ────────────── */
+export function createFakeContext(canvas) {
+    return {
+        canvas,
+        draws: [],                                 // { image, args: [dx, dy, dw, dh] or the 9-arg form }
+        fillStyle: '#000',
+        globalAlpha: 1,
+        drawImage(image, ...args) { this.draws.push({ image, args, alpha: this.globalAlpha }); },
+        fillRect() { },
+        clearRect() { },
+        createRadialGradient() { return { addColorStop() { } }; },
+        getImageData(x, y, w, h) { return { data: new Uint8ClampedArray(w * h * 4).fill(255) }; },
+    };
+}
+
+export function createFakeCanvas() {
+    const canvas = {
+        width: 300,
+        height: 150,
+        style: {},
+        context: null,
+        getContext(type) {
+            // No WebGL here: renderers fall back to 2D
+            if (type !== '2d') return null;
+            if (!canvas.context) canvas.context = createFakeContext(canvas);
+            return canvas.context;
+        },
+    };
+    return canvas;
+}
+
+/* ── Timers ────────────────────────────────────────────── */
+function createClock() {
+    let now = 0;
+    let nextId = 1;
+    const timers = new Map();                      // id → { at, fn, every }
+
+    function add(fn, ms, every) {
+        const id = nextId++;
+        timers.set(id, { at: now + Math.max(ms || 0, 0), fn, every: every ? Math.max(ms || 1, 1) : 0 });
+        return id;
+    }
+
+    return {
+        setTimeout: (fn, ms) => add(fn, ms, false),
+        setInterval: (fn, ms) => add(fn, ms, true),
+        clearTimeout: (id) => { timers.delete(id); },
+        clearInterval: (id) => { timers.delete(id); },
+        get now() { return now; },
+        get intervals() { return [...timers.values()].filter((t) => t.every).length; },
+        // Run every timer due within `ms`, in time order
+        advance(ms) {
+            const end = now + ms;
+            for (;;) {
+                let id = null;
+                let due = null;
+                timers.forEach((t, key) => {
+                    if (t.at <= end && (!due || t.at < due.at)) {
+                        id = key;
+                        due = t;
+                    }
+                });
+                if (!due) break;
+                now = due.at;
+                if (due.every) due.at += due.every;
+                else timers.delete(id);
+                due.fn();
+            }
+            now = end;
+        },
+    };
+}
+
+/* ── Images: requests are recorded and settled on flush() ── */
+function createImages({ size, fails }) {
+    const requested = [];
+    let pending = [];
+
+    class FakeImage {
+        constructor() {
+            this.onload = null;
+            this.onerror = null;
+            this.width = this.naturalWidth = 0;
+            this.height = this.naturalHeight = 0;
+            this._src = '';
+        }
+
+        get src() { return this._src; }
+
+        set src(url) {
+            this._src = url;
+            if (!url) return;
+            requested.push(url);
+            pending.push(this);
+        }
+    }
+
+    return {
+        Image: FakeImage,
+        requested,
+        get pending() { return pending.length; },
+        // Settle every outstanding request (load, or error when fails(url))
+        flush() {
+            const batch = pending;
+            pending = [];
+            batch.forEach((img) => {
+                if (!img._src) return;                     // Cancelled
+                if (fails(img._src)) {
+                    if (img.onerror) img.onerror();
+                    return;
+                }
+                const { width, height } = size(img._src);
+                img.width = img.naturalWidth = width;
+                img.height = img.naturalHeight = height;
+                if (img.onload) img.onload();
+            });
+        },
+    };
+}
+
+/* ── Decode workers: messages are recorded, the test replies ── */
+function createWorkers() {
+    const list = [];
+
+    class FakeWorker {
+        constructor(url) {
+            createTarget(this);
+            this.url = String(url);
+            this.posted = [];
+            this.terminated = false;
+            list.push(this);
+        }
+
+        postMessage(msg) { this.posted.push(msg); }
+
+        terminate() { this.terminated = true; }
+
+        // Test side: answer a message, or die like a crashed worker
+        reply(data) { this.dispatch('message', { data }); }
+
+        crash() { this.dispatch('error', { preventDefault() { } }); }
+    }
+
+    return { Worker: FakeWorker, list };
+}
+
+/* ── Event target ──────────────────────────────────────── */
+function createTarget(target) {
+    const listeners = new Map();
+    target.addEventListener = (type, fn) => {
+        if (!listeners.has(type)) listeners.set(type, new Set());
+        listeners.get(type).add(fn);
+    };
+    target.removeEventListener = (type, fn) => {
+        if (listeners.has(type)) listeners.get(type).delete(fn);
+    };
+    target.dispatch = (type, event = {}) => {
+        (listeners.get(type) || []).forEach((fn) => fn({ type, ...event }));
+    };
+    target.listenerCount = (type) => (listeners.get(type) || new Set()).size;
+    return target;
+}
+
+const GLOBALS = [
+    'window', 'document', 'Image', 'requestAnimationFrame', 'cancelAnimationFrame',
+    'innerWidth', 'innerHeight', 'scrollY', 'devicePixelRatio',
+    'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval', 'Worker', 'createImageBitmap',
+];
+
+/**
+ * Install the fakes as globals; call restore() when done.
+ * @param {object} options
+ *        width, height: viewport; scrollHeight: document height; dpr
+ *        size(url): decoded { width, height } (default 200×100)
+ *        fails(url): true to make the request error
+ *        workers: install Worker + createImageBitmap so frames decode
+ *                 through fake workers (replies come from the test)
+ */
+export function installDom({
+    width = 1000,
+    height = 500,
+    scrollHeight = 3000,
+    dpr = 1,
+    size = () => ({ width: 200, height: 100 }),
+    fails = () => false,
+    workers = false,
+} = {}) {
+    const saved = new Map(GLOBALS.map((name) => [name, Object.getOwnPropertyDescriptor(globalThis, name)]));
+    // Every pending load listens on the sequence's AbortSignal; browsers
+    // don't cap that, Node warns past 10
+    const maxListeners = EventEmitter.defaultMaxListeners;
+    EventEmitter.defaultMaxListeners = 0;
+    const clock = createClock();
+    const images = createImages({ size, fails });
+    const decodeWorkers = createWorkers();
+
+    /* ── rAF ─────────────────────────────────────────── */
+    let frameTime = 0;
+    let nextFrameId = 1;
+    let callbacks = new Map();
+    const raf = {
+        // Run `count` animation frames, `ms` apart
+        step(count = 1, ms = 1000 / 60) {
+            for (let i = 0; i < count; i++) {
+                frameTime += ms;
+                const due = callbacks;
+                callbacks = new Map();
+                due.forEach((fn) => fn(frameTime));
+            }
+        },
+        get pending() { return callbacks.size; },
+    };
+
+    const canvases = [];
+    const document = createTarget({
+        visibilityState: 'visible',
+        baseURI: 'https://example.test/',
+        documentElement: { scrollHeight },
+        body: { style: {} },
+        createElement(tag) {
+            if (tag !== 'canvas') throw new Error(`fake-dom: no <${tag}>`);
+            const canvas = createFakeCanvas();
+            canvases.push(canvas);
+            return canvas;
+        },
+        querySelectorAll: () => [],
+        querySelector: () => null,
+    });
+
+    const win = createTarget(globalThis);
+    Object.assign(globalThis, {
+        window: win,
+        document,
+        Image: images.Image,
+        requestAnimationFrame: (fn) => {
+            const id = nextFrameId++;
+            callbacks.set(id, fn);
+            return id;
+        },
+        cancelAnimationFrame: (id) => { callbacks.delete(id); },
+        innerWidth: width,
+        innerHeight: height,
+        scrollY: 0,
+        devicePixelRatio: dpr,
+        setTimeout: clock.setTimeout,
+        setInterval: clock.setInterval,
+        clearTimeout: clock.clearTimeout,
+        clearInterval: clock.clearInterval,
+    });
+    if (workers) {
+        Object.assign(globalThis, {
+            Worker: decodeWorkers.Worker,
+            createImageBitmap: () => Promise.reject(new Error('fake-dom: decode in the worker')),
+        });
+    }
+
+    return {
+        window: win,
+        document,
+        clock,
+        images,
+        workers: decodeWorkers.list,
+        raf,
+        canvases,
+        scrollTo(y) {
+            globalThis.scrollY = y;
+            win.dispatch('scroll');
+        },
+        resize(w, h) {
+            globalThis.innerWidth = w;
+            globalThis.innerHeight = h;
+            win.dispatch('resize');
+        },
+        restore() {
+            EventEmitter.defaultMaxListeners = maxListeners;
+            ['addEventListener', 'removeEventListener', 'dispatch', 'listenerCount'].forEach((name) => {
+                delete globalThis[name];
+            });
+            saved.forEach((descriptor, name) => {
+                if (descriptor) Object.defineProperty(globalThis, name, descriptor);
+                else delete globalThis[name];
+            });
+        },
+    };
+}
+
+/* ── Let promise chains (image loads → frame storage) run ── */
+export function settle() {
+    return new Promise((resolve) => setImmediate(resolve));
+}
@@ -0,0 +1,136 @@
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Test Fakes: Service Worker
+   Runs sw.js (a classic worker script) in a vm context with a
+   fake ServiceWorkerGlobalScope: an in-memory Cache API, a
+   scripted fetch, and events whose waitUntil/respondWith
+   promises the test can await.
+   ═══════════════════════════════════════════════════════════ */
+
+import fs from 'node:fs';
+import vm from 'node:vm';
+
+const SW_SOURCE = fs.readFileSync(new URL('../../sw.js', import.meta.url), 'utf8');
+export const ORIGIN = 'https://example.test';
+
+const urlOf = (input) => new URL(typeof input === 'string' ? input : input.url, `${ORIGIN}/`).href;
+
+/* ── Cache API (CacheStorage + Cache), keyed by absolute URL ── */
+export function createFakeCaches({ fetch }) {
+    const stores = new Map();                      // name → Map(url → Response)
+
+    function createCache(entries) {
+        return {
+            entries,
+            async match(request, { ignoreSearch = false } = {}) {
+                const url = urlOf(request);
+                if (entries.has(url)) return entries.get(url).clone();
+                if (!ignoreSearch) return undefined;
+                const path = url.split('?')[0];
+                for (const [key, response] of entries) {
+                    if (key.split('?')[0] === path) return response.clone();
+                }
+                return undefined;
+            },
+            async put(request, response) {
+                entries.set(urlOf(request), response.clone());
+            },
+            async add(request) {
+                const response = await fetch(request);
+                if (!response.ok) throw new TypeError(`Request failed: ${urlOf(request)}`);
+                entries.set(urlOf(request), response);
+            },
+            async addAll(requests) {
+                await Promise.all(requests.map((request) => this.add(request)));
+            },
+            async keys() {
+                return [...entries.keys()].map((url) => ({ url }));
+            },
+            async delete(request) {
+                return entries.delete(urlOf(request));
+            },
+        };
+    }
+
+    return {
+        stores,
+        async open(name) {
+            if (!stores.has(name)) stores.set(name, new Map());
+            return createCache(stores.get(name));
+        },
+        async has(name) { return stores.has(name); },
+        async keys() { return [...stores.keys()]; },
+        async delete(name) { return stores.delete(name); },
+    };
+}
+
+/**
+ * Evaluate sw.js.
+ * @param {object} options
+ *        search: query string of the registration (e.g. '?frames=abc&rendition=720')
+ *        respond(url): the network's Response for an absolute URL; undefined 404s
+ * @returns {object}  { self, caches, fetched, dispatch(type, init) → Promise<event>,
+ *                     evaluate(expression), offline }  offline = true makes fetch reject
+ */
+export function loadServiceWorker({ search = '', respond = () => undefined } = {}) {
+    const listeners = new Map();
+    const fetched = [];
+    const sw = { offline: false };
+
+    async function fetch(input) {
+        const url = urlOf(input);
+        fetched.push(url);
+        if (sw.offline) throw new TypeError('Failed to fetch');
+        return respond(url) || new Response('', { status: 404 });
+    }
+
+    const caches = createFakeCaches({ fetch });
+    const context = {
+        location: { href: `${ORIGIN}/sw.js${search}`, origin: ORIGIN },
+        navigator: {},
+        caches,
+        fetch,
+        Response,
+        URL,
+        console,
+        addEventListener(type, fn) { listeners.set(type, fn); },
+        skipWaiting: async () => { sw.skippedWaiting = true; },
+        clients: { claim: async () => { sw.claimed = true; } },
+    };
+    context.self = context;
+    vm.createContext(context);
+    vm.runInContext(SW_SOURCE, context, { filename: 'sw.js' });
+
+    /**
+     * Fire an event; resolves once its waitUntil/respondWith work is done.
+     * event.response is the respondWith() result, if any.
+     */
+    async function dispatch(type, init = {}) {
+        const waits = [];
+        const event = {
+            ...init,
+            response: undefined,
+            waitUntil(promise) { waits.push(promise); },
+            respondWith(promise) { waits.push(Promise.resolve(promise).then((r) => { event.response = r; })); },
+        };
+        listeners.get(type)(event);
+        await Promise.all(waits);
+        return event;
+    }
+
+    // Top-level consts (STATIC_ASSETS, FRAME_CACHE…) live in the context's script scope
+    const evaluate = (expression) => vm.runInContext(expression, context);
+
+    return Object.assign(sw, { self: context, caches, fetched, dispatch, evaluate });
+}
+
+/* ── Request and MessagePort stand-ins ─────────────────── */
+// Plain objects: Node's Request rejects mode 'navigate'
+export function request(path, { mode = 'cors' } = {}) {
+    return { url: new URL(path, `${ORIGIN}/`).href, mode };
+}
+
+// Messages are cloned, as postMessage does (and out of the vm's realm)
+export function createPort() {
+    const messages = [];
+    return { messages, postMessage(msg) { messages.push(structuredClone(msg)); } };
+}
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { clamp, coverFit, lerp } from '../engine/math.js';
+
+// Ease from 0 towards 100 for `seconds` at `fps`
+function run(seconds, fps, factor = 0.14, snap = 0) {
+    let value = 0;
+    const frames = Math.round(seconds * fps);
+    for (let i = 0; i < frames; i++) value = lerp(value, 100, factor, 1 / fps, 60, snap);
+    return value;
+}
+
+test('lerp covers the same distance in the same time at any frame rate', () => {
+    const expected = 100 * (1 - Math.pow(1 - 0.14, 60 * 0.5));
+    [24, 30, 60, 90, 120, 144, 240].forEach((fps) => {
+        assert.ok(Math.abs(run(0.5, fps) - expected) < 1e-9, `${fps} fps`);
+    });
+});
+
+test('lerp at the reference frame rate is a plain per-frame lerp', () => {
+    assert.equal(lerp(0, 100, 0.25, 1 / 60, 60, 0), 25);
+    assert.equal(lerp(0, 100, 0.25, 1 / 30, 30, 0), 25);
+});
+
+test('lerp converges and snaps onto the target', () => {
+    let value = 0;
+    let frames = 0;
+    while (value !== 100 && frames < 1000) {
+        value = lerp(value, 100, 0.14, 1 / 60);
+        frames++;
+    }
+    assert.equal(value, 100);
+    assert.ok(frames < 60, `${frames} frames`);
+
+    assert.equal(lerp(99.6, 100, 0.01, 1 / 60), 100);              // Within the default 0.5 snap
+    assert.equal(lerp(50, 50, 0.14, 1 / 60, 60, 0), 50);
+});
+
+test('lerp never overshoots, even after a long frame', () => {
+    assert.ok(lerp(0, 100, 0.14, 5, 60, 0) <= 100);
+    assert.ok(lerp(100, 0, 0.14, 5, 60, 0) >= 0);
+});
+
+test('coverFit fills the canvas and centres the overflow', () => {
+    // Wider canvas than the image: full width, cropped top and bottom
+    assert.deepEqual(coverFit(100, 100, 1000, 500), { dx: 0, dy: -250, dw: 1000, dh: 1000 });
+    // Taller canvas: full height, cropped left and right
+    assert.deepEqual(coverFit(200, 100, 300, 600), { dx: -450, dy: 0, dw: 1200, dh: 600 });
+    // Same aspect: exact fit
+    assert.deepEqual(coverFit(1920, 1080, 960, 540), { dx: 0, dy: 0, dw: 960, dh: 540 });
+});
+
+test('coverFit keeps the image aspect ratio', () => {
+    [[1920, 1080, 375, 812], [1080, 1920, 1440, 900], [640, 480, 1, 1000]].forEach(([iw, ih, pw, ph]) => {
+        const { dw, dh } = coverFit(iw, ih, pw, ph);
+        assert.ok(Math.abs(dw / dh - iw / ih) < 1e-9);
+        assert.ok(dw >= pw - 1e-9 && dh >= ph - 1e-9);
+    });
+});
+
+test('clamp', () => {
+    assert.equal(clamp(-1, 0, 10), 0);
+    assert.equal(clamp(11, 0, 10), 10);
+    assert.equal(clamp(5, 0, 10), 5);
+});
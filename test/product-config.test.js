@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import { validateProduct } from '../engine/product-config.js';
+
+const PRODUCT = JSON.parse(fs.readFileSync(new URL('../products/antigravity.json', import.meta.url), 'utf8'));
+
+function problemsOf(product) {
+    try {
+        validateProduct(product);
+    } catch (err) {
+        assert.ok(err instanceof TypeError);
+        return err.problems;
+    }
+    return [];
+}
+
+test('the shipped product config is valid', () => {
+    assert.equal(validateProduct(PRODUCT), PRODUCT);
+});
+
+test('every problem is reported with its path', () => {
+    const product = structuredClone(PRODUCT);
+    delete product.hero.eyebrow;
+    product.sections[0].cards[1].title = '';
+    product.sections[3].type = 'faq';
+    product.sections[1].id = 'showcase';
+    product.frames.count = 1.5;
+
+    assert.deepEqual(problemsOf(product), [
+        'frames.count: expected a positive whole number, got 1.5',
+        'hero.eyebrow: missing (expected non-empty text)',
+        'sections[0].cards[1].title: expected non-empty text, got ""',
+        'sections[3].type: expected one of showcase, features, specs, cta, got "faq"',
+        'id "showcase" is used more than once',
+    ]);
+});
+
+test('sequence frames must exist in the frame set', () => {
+    const product = structuredClone(PRODUCT);
+    product.sections[2].sequence = { hold: 400 };
+    assert.deepEqual(problemsOf(product), ['sections[2].sequence: frame 400 is outside 0–149 (frames.count)']);
+});
+
+test('script URLs and malformed tints are rejected', () => {
+    const product = structuredClone(PRODUCT);
+    product.sections[3].button.href = 'javascript:alert(1)';
+    product.sections[0].tint = 'purple';
+    assert.deepEqual(problemsOf(product), [
+        'sections[0].tint: expected "#rrggbb" or "#rrggbb alpha", got "purple"',
+        'sections[3].button.href: expected a URL, got "javascript:alert(1)"',
+    ]);
+});
+
+test('a non-object config is one problem', () => {
+    assert.deepEqual(problemsOf(null), ['(root): missing (expected an object)']);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { frameAtScroll, measureRanges, scrollAtFrame, sectionAtScroll, snapToStill } from '../engine/scroll-ranges.js';
+
+// 0–1000 scrubs 0→40, 1000–1500 holds 60, (gap), 2000–3000 scrubs 80→149
+const SEGMENTS = measureRanges([
+    { el: null, top: 2000, height: 1000, start: 80, end: 149 },
+    { el: null, top: 0, height: 1000, start: 0, end: 40 },
+    { el: null, top: 1000, height: 500, start: 60, end: 60 },
+], 5000);
+
+test('measureRanges sorts by position and clamps to the last reachable scroll', () => {
+    assert.deepEqual(SEGMENTS.map((s) => [s.top, s.bottom]), [[0, 1000], [1000, 1500], [2000, 3000]]);
+
+    const [clamped] = measureRanges([{ top: 2000, height: 1000, start: 0, end: 10 }], 2400);
+    assert.equal(clamped.bottom, 2400);
+    const [unreachable] = measureRanges([{ top: 2000, height: 1000, start: 0, end: 10 }], 1500);
+    assert.equal(unreachable.bottom, 2000);
+});
+
+test('measureRanges reads offsets from elements', () => {
+    const parent = { offsetTop: 100, offsetParent: null };
+    const el = { offsetTop: 400, offsetHeight: 800, offsetParent: parent };
+    const [segment] = measureRanges([{ el, start: 5, end: 25 }], 10000);
+    assert.deepEqual(segment, { el, top: 500, bottom: 1300, start: 5, end: 25 });
+});
+
+test('frameAtScroll scrubs within a section', () => {
+    assert.equal(frameAtScroll(0, SEGMENTS), 0);
+    assert.equal(frameAtScroll(500, SEGMENTS), 20);
+    assert.equal(frameAtScroll(1000, SEGMENTS), 40);
+    assert.equal(frameAtScroll(2500, SEGMENTS), 114.5);
+    assert.equal(frameAtScroll(3000, SEGMENTS), 149);
+});
+
+test('frameAtScroll holds through hold sections, gaps and the end', () => {
+    assert.equal(frameAtScroll(1200, SEGMENTS), 60);
+    assert.equal(frameAtScroll(1750, SEGMENTS), 60);
+    assert.equal(frameAtScroll(4000, SEGMENTS), 149);
+    assert.equal(frameAtScroll(-50, SEGMENTS), 0);
+    assert.equal(frameAtScroll(100, []), null);
+});
+
+test('frameAtScroll shows fixed stills per section', () => {
+    assert.equal(frameAtScroll(200, SEGMENTS, 2), 0);
+    assert.equal(frameAtScroll(800, SEGMENTS, 2), 40);
+    assert.equal(frameAtScroll(450, SEGMENTS, 3), 20);
+    assert.equal(snapToStill(0.3, 1), 0.5);
+    assert.equal(snapToStill(0.3, 0), 0.3);
+});
+
+test('scrollAtFrame inverts frameAtScroll', () => {
+    for (let frame = 0; frame <= 40; frame += 5) {
+        assert.ok(Math.abs(frameAtScroll(scrollAtFrame(frame, SEGMENTS), SEGMENTS) - frame) < 1e-9, `frame ${frame}`);
+    }
+    for (let frame = 80; frame <= 149; frame += 7) {
+        assert.ok(Math.abs(frameAtScroll(scrollAtFrame(frame, SEGMENTS), SEGMENTS) - frame) < 1e-9, `frame ${frame}`);
+    }
+});
+
+test('scrollAtFrame puts a held frame mid-section and returns null for unshown frames', () => {
+    assert.equal(scrollAtFrame(60, SEGMENTS), 1250);
+    assert.equal(scrollAtFrame(50, SEGMENTS), null);
+    assert.equal(scrollAtFrame(150, SEGMENTS), null);
+});
+
+test('sectionAtScroll reports the section under the viewport top', () => {
+    assert.equal(sectionAtScroll(-1, SEGMENTS), null);
+    assert.deepEqual(sectionAtScroll(250, SEGMENTS), { el: null, index: 0, progress: 0.25 });
+    assert.deepEqual(sectionAtScroll(1750, SEGMENTS), { el: null, index: 1, progress: 1 });
+    assert.deepEqual(sectionAtScroll(9000, SEGMENTS), { el: null, index: 2, progress: 1 });
+});
@@ -0,0 +1,376 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installDom, createFakeCanvas, settle } from './helpers/fake-dom.js';
+import { createScrollSequence } from '../engine/scroll-sequence.js';
+import { coverFit } from '../engine/math.js';
+
+const FRAME_COUNT = 60;
+const frameUrl = (i) => `f/${i}.png`;
+
+let dom = null;
+let seq = null;
+
+beforeEach(() => {
+    dom = installDom();
+});
+
+afterEach(() => {
+    if (seq) seq.destroy();
+    seq = null;
+    dom.restore();
+});
+
+function createSequence(options = {}) {
+    const canvas = createFakeCanvas();
+    seq = createScrollSequence({
+        canvas,
+        frameCount: FRAME_COUNT,
+        frameUrl,
+        decode: 'image',
+        detectBlank: false,
+        keyframes: 0,
+        minFramesToStart: 1,
+        retries: 0,
+        memoryBudget: 1e9,
+        ...options,
+    });
+    return { seq, canvas };
+}
+
+// Settle image requests and run proximity-load passes until nothing is left
+async function loadAll(rounds = 200) {
+    for (let i = 0; i < rounds && (dom.images.pending || dom.clock.intervals); i++) {
+        dom.images.flush();
+        await settle();
+        dom.clock.advance(80);
+    }
+}
+
+// Frame images drawn into the 2D renderer's buffer, oldest first
+function frameDraws() {
+    return dom.canvases
+        .flatMap((c) => (c.context ? c.context.draws : []))
+        .filter((d) => typeof d.image.src === 'string');
+}
+
+function lastFrameDraw() {
+    const draws = frameDraws();
+    return draws[draws.length - 1];
+}
+
+/* ── Scroll → frame ────────────────────────────────────── */
+test('whole-page scroll maps to frames by progress', () => {
+    createSequence();
+    seq.start();
+
+    // 3000px document, 500px viewport → 2500px of scroll for frames 0–59
+    dom.scrollTo(0);
+    assert.equal(seq.target, 0);
+    dom.scrollTo(1250);
+    assert.equal(seq.target, 30);
+    dom.scrollTo(2500);
+    assert.equal(seq.target, 59);
+    dom.scrollTo(9000);
+    assert.equal(seq.target, 59);
+});
+
+test('section ranges scrub, hold, and hold through gaps', () => {
+    createSequence({
+        ranges: [
+            { top: 0, height: 1000, start: 0, end: 20 },
+            { top: 1000, height: 500, start: 30, end: 30 },
+            { top: 2000, height: 1000, start: 40, end: 59 },
+        ],
+    });
+    seq.start();
+
+    dom.scrollTo(500);
+    assert.equal(seq.target, 10);
+    dom.scrollTo(1200);
+    assert.equal(seq.target, 30);
+    dom.scrollTo(1750);                            // Between sections: previous end
+    assert.equal(seq.target, 30);
+    dom.scrollTo(2250);                            // Last section ends at max scroll (2500)
+    assert.equal(seq.target, 50);
+});
+
+test('scrollFor() lands on the frame it was asked for', () => {
+    createSequence({
+        ranges: [
+            { top: 0, height: 1000, start: 0, end: 20 },
+            { top: 2000, height: 1000, start: 40, end: 59 },
+        ],
+    });
+    seq.start();
+
+    [0, 7, 20, 40, 45, 59].forEach((frame) => {
+        dom.scrollTo(seq.scrollFor(frame));
+        assert.equal(seq.target, frame, `frame ${frame}`);
+    });
+    assert.equal(seq.scrollFor(30), null);         // No section shows it
+});
+
+/* ── Frame interpolation ───────────────────────────────── */
+test('the playhead eases at the same rate at any frame rate', async () => {
+    const positions = [];
+    for (const fps of [30, 60, 120]) {
+        dom.restore();
+        dom = installDom();
+        createSequence();
+        seq.start();
+        await loadAll();
+
+        dom.raf.step(5, 1000 / fps);               // Settle on frame 0
+        dom.scrollTo(2500);
+        dom.raf.step(Math.round(0.2 * fps), 1000 / fps);
+        positions.push(seq.frame);
+        seq.destroy();
+        seq = null;
+    }
+
+    // 0.14 per 60 Hz frame for 0.2 s ≈ 84% of the way to 59
+    positions.forEach((frame) => assert.ok(Math.abs(frame - 49) <= 1, `${positions}`));
+});
+
+test('the playhead settles on the target and stops redrawing', async () => {
+    createSequence();
+    seq.start();
+    await loadAll();
+
+    dom.scrollTo(1250);
+    dom.raf.step(120);
+    assert.equal(seq.frame, 30);
+
+    const draws = frameDraws().length;
+    dom.raf.step(30);
+    assert.equal(frameDraws().length, draws);
+});
+
+/* ── Progressive loading ───────────────────────────────── */
+test('proximity loading starts at the playhead and works outwards', async () => {
+    createSequence({ preloadRadius: 3, batchLoad: 2 });
+    globalThis.scrollY = 1272;                     // Frame 30
+    seq.start();
+    assert.equal(seq.target, 30);
+
+    dom.clock.advance(80);
+    assert.deepEqual(dom.images.requested, [30, 31, 29, 32, 28, 33, 27, 0, 1].map(frameUrl));
+});
+
+test('proximity loading stops once every frame has loaded', async () => {
+    let complete = null;
+    createSequence({ preloadRadius: 3, batchLoad: 5 });
+    seq.on('complete', (e) => { complete = e; });
+    seq.start();
+    await loadAll();
+
+    assert.equal(dom.clock.intervals, 0);
+    assert.equal(complete.loaded, FRAME_COUNT);
+    assert.equal(new Set(dom.images.requested).size, FRAME_COUNT);
+    assert.equal(dom.images.requested.length, FRAME_COUNT);
+});
+
+test('proximity loading stops at a full memory budget and resumes when the playhead moves', async () => {
+    // 100×100 frames are 40 000 bytes: room for 10
+    dom.restore();
+    dom = installDom({ size: () => ({ width: 100, height: 100 }) });
+    createSequence({ preloadRadius: 3, batchLoad: 2, memoryBudget: 400000 });
+    seq.start();
+    await loadAll();
+
+    assert.equal(dom.clock.intervals, 0);
+    assert.ok(seq.memory.bytes <= 400000 + 40000);
+    const first = dom.images.requested.length;
+    assert.ok(first < FRAME_COUNT);
+
+    dom.scrollTo(2500);
+    await loadAll();
+    assert.equal(dom.clock.intervals, 0);
+    assert.ok(dom.images.requested.slice(first).includes(frameUrl(59)));
+});
+
+/* ── Atlas sheets ──────────────────────────────────────── */
+// Two 400×400 sheets (640 000 bytes decoded) of 16 50×50 frames each:
+// the views add up to far less than the sheets they keep in memory
+function createAtlasSequence(options = {}) {
+    dom.restore();
+    dom = installDom({ size: () => ({ width: 400, height: 400 }) });
+    const frames = Array.from({ length: 32 }, (_, i) => ({
+        sheet: Math.floor(i / 16),
+        x: (i % 4) * 50,
+        y: (Math.floor(i / 4) % 4) * 50,
+        w: 50,
+        h: 50,
+    }));
+    return createSequence({ frameCount: 32, atlas: { sheets: ['s/0.png', 's/1.png'], frames }, ...options });
+}
+
+const sheetRequests = (url) => dom.images.requested.filter((u) => u === url).length;
+
+test('an atlas sheet is budgeted once, at its decoded size', async () => {
+    createAtlasSequence({ batchLoad: 1 });
+    seq.start();
+    await loadAll();
+
+    assert.equal(sheetRequests('s/0.png'), 1);
+    assert.equal(seq.stats.loaded, 32);
+    assert.equal(seq.memory.bytes, 2 * 400 * 400 * 4);
+});
+
+test('atlas eviction frees whole sheets and does not refetch them', async () => {
+    createAtlasSequence({ batchLoad: 2, preloadRadius: 3, memoryBudget: 640000 });
+    seq.start();
+    await loadAll();
+
+    // Both sheets were requested before either loaded; the far one went as a whole
+    assert.equal(seq.memory.bytes, 640000);
+    assert.equal(seq.stats.loaded, 16);
+    assert.equal(sheetRequests('s/0.png'), 1);
+    assert.equal(sheetRequests('s/1.png'), 1);
+    assert.equal(dom.clock.intervals, 0);
+
+    dom.scrollTo(2500);
+    await loadAll();
+    dom.raf.step(120);
+    assert.equal(seq.frame, 31);
+    assert.equal(seq.memory.bytes, 640000);
+    assert.equal(sheetRequests('s/1.png'), 2);
+    assert.equal(sheetRequests('s/0.png'), 1);
+});
+
+/* ── Drawing ───────────────────────────────────────────── */
+test('frames are cover-fitted through the 2D renderer when WebGL is missing', async () => {
+    dom.restore();
+    dom = installDom({ size: () => ({ width: 100, height: 100 }) });
+    createSequence();
+    seq.start();
+    await loadAll();
+    dom.raf.step(2);
+
+    assert.equal(seq.renderer, '2d');
+    const { dx, dy, dw, dh } = coverFit(100, 100, 1000, 500);
+    assert.deepEqual(lastFrameDraw().args, [dx, dy, dw, dh]);
+    assert.deepEqual(lastFrameDraw().args, [0, -250, 1000, 1000]);
+});
+
+test('a failed frame is drawn from its nearest loaded neighbour', async (t) => {
+    t.mock.method(console, 'warn', () => { });
+    dom.restore();
+    dom = installDom({ fails: (url) => url === frameUrl(30) || url === frameUrl(31) });
+    createSequence();
+    seq.start();
+    await loadAll();
+    assert.deepEqual(seq.failedFrames, [30, 31]);
+
+    dom.scrollTo(seq.scrollFor(30));
+    dom.raf.step(120);
+    assert.equal(lastFrameDraw().image.src, frameUrl(29));
+
+    dom.scrollTo(seq.scrollFor(31));
+    dom.raf.step(120);
+    assert.equal(lastFrameDraw().image.src, frameUrl(32));
+});
+
+/* ── Worker decoding ───────────────────────────────────── */
+function decodeMessage(worker, index) {
+    return worker.posted.find((msg) => msg.type === 'decode' && msg.url === `https://example.test/${frameUrl(index)}`);
+}
+
+test('a frame retrying after the worker died falls back to Image loading', async () => {
+    dom.restore();
+    dom = installDom({ workers: true });
+    createSequence({ decode: 'auto', retries: 1, retryDelay: 100 });
+    seq.start();
+    dom.clock.advance(80);
+    const [worker] = dom.workers;
+    const first = decodeMessage(worker, 0);
+    assert.ok(first);
+
+    // Frame 0 backs off; meanwhile the worker dies and another frame drops it
+    worker.reply({ id: first.id, error: 'HTTP 503', reason: 'network' });
+    await settle();
+    worker.crash();
+    await settle();
+    assert.ok(worker.terminated);
+
+    dom.clock.advance(100);
+    await loadAll();
+    assert.deepEqual(seq.failedFrames, []);
+    assert.ok(dom.images.requested.includes(frameUrl(0)));
+    assert.equal(seq.stats.loaded, FRAME_COUNT);
+});
+
+test('worker frames are checked for transparency in the worker, not on the main thread', async (t) => {
+    t.mock.method(console, 'warn', () => { });
+    dom.restore();
+    dom = installDom({ workers: true });
+    createSequence({ decode: 'auto', detectBlank: true, retries: 3, retryDelay: 100 });
+    seq.start();
+    dom.clock.advance(80);
+    const [worker] = dom.workers;
+    const blank = decodeMessage(worker, 0);
+    assert.equal(blank.detectBlank, true);
+
+    worker.reply({ id: blank.id, error: 'Decoded fully transparent: f/0.png', reason: 'blank' });
+    await settle();
+    assert.deepEqual(seq.failedFrames, [0]);
+    assert.deepEqual(dom.images.requested, []);
+
+    // Bad content: neither the backoff nor retryFrames() fetches it again
+    const requests = () => worker.posted.filter((msg) => msg.url === blank.url).length;
+    dom.clock.advance(1000);
+    seq.retryFrames();
+    dom.clock.advance(80);
+    await settle();
+    assert.equal(requests(), 1);
+    assert.deepEqual(seq.failedFrames, [0]);
+});
+
+test('a canvas without any context fails start() before loading anything', () => {
+    const { canvas } = createSequence();
+    canvas.getContext = () => null;
+
+    assert.throws(() => seq.start(), (err) => err.reason === 'unsupported' && /no WebGL or 2D context/i.test(err.message));
+    assert.equal(dom.clock.intervals, 0);
+    dom.clock.advance(1000);
+    assert.deepEqual(dom.images.requested, []);
+    assert.equal(dom.window.listenerCount('scroll'), 0);
+});
+
+/* ── Resize ────────────────────────────────────────────── */
+test('a resize re-sizes the canvas and redraws once it settles', async () => {
+    dom.restore();
+    dom = installDom({ size: () => ({ width: 100, height: 100 }) });
+    const { canvas } = createSequence();
+    seq.start();
+    await loadAll();
+    dom.raf.step(2);
+    assert.equal(canvas.width, 1000);
+
+    dom.resize(300, 600);
+    dom.resize(400, 800);
+    dom.clock.advance(50);
+    assert.equal(canvas.width, 1000);              // Debounced
+
+    const draws = frameDraws().length;
+    dom.clock.advance(100);
+    assert.equal(canvas.width, 400);
+    assert.equal(canvas.height, 800);
+    assert.equal(canvas.style.width, '400px');
+    assert.equal(frameDraws().length, draws + 1);
+    assert.deepEqual(lastFrameDraw().args, [-200, 0, 800, 800]);
+});
+
+test('the canvas pixel ratio is capped by maxDpr', async () => {
+    dom.restore();
+    dom = installDom({ dpr: 3 });
+    const { canvas } = createSequence({ maxDpr: 2 });
+    seq.start();
+    await loadAll();
+    assert.equal(canvas.width, 2000);
+    assert.equal(canvas.style.width, '1000px');
+
+    seq.setMaxDpr(1);
+    assert.equal(canvas.width, 1000);
+});
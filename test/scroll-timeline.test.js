@@ -0,0 +1,72 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installDom } from './helpers/fake-dom.js';
+import { createScrollTimeline } from '../engine/scroll-timeline.js';
+
+const REVEAL = [{ offset: 0, opacity: 0, y: 50 }, { offset: 1, opacity: 1, y: 0 }];
+
+let dom = null;
+let timeline = null;
+let scrollY = 0;
+
+// 500px viewport over a 3000px page: the last reachable scroll is 2500
+beforeEach(() => {
+    dom = installDom();
+    scrollY = 0;
+    timeline = createScrollTimeline({ getScroll: () => scrollY }).start();
+});
+
+afterEach(() => {
+    timeline.destroy();
+    dom.restore();
+});
+
+function element(top, height = 200) {
+    return { offsetTop: top, offsetHeight: height, offsetParent: null, style: {} };
+}
+
+function scrollTo(y) {
+    scrollY = y;
+    dom.raf.step();
+}
+
+test('an enter reveal scrubs while the element rises through the bottom of the viewport', () => {
+    const el = element(1000);
+    timeline.add(el, { keyframes: REVEAL });
+    assert.equal(el.style.opacity, '0');
+    assert.equal(el.style.translate, '0px 50px');
+
+    // 500 → 700 is the enter span
+    scrollTo(600);
+    assert.equal(el.style.opacity, '0.5');
+    scrollTo(700);
+    assert.equal(el.style.opacity, '1');
+    assert.equal(el.style.translate, '0px 0px');
+});
+
+test('an enter reveal near the page bottom finishes at the last reachable scroll', () => {
+    const last = element(2900);
+    const staggered = element(2800);
+    timeline.add(last, { keyframes: REVEAL });
+    timeline.add(staggered, { keyframes: REVEAL, offset: 120 });
+
+    scrollTo(2500);
+    assert.equal(last.style.opacity, '1');
+    assert.equal(staggered.style.opacity, '1');
+    assert.equal(staggered.style.translate, '0px 0px');
+
+    scrollTo(2400);
+    assert.ok(Number(last.style.opacity) < 1);
+});
+
+test('motion goes through translate, leaving transform to the page', () => {
+    const el = element(1000);
+    el.style.transform = 'translateY(-4px)';
+    timeline.add(el, { keyframes: [{ offset: 0, x: 10, scale: 0.5, rotate: 90 }, { offset: 1, x: 0, scale: 1, rotate: 0 }] });
+    assert.deepEqual([el.style.translate, el.style.scale, el.style.rotate], ['10px 0px', '0.5', '90deg']);
+    assert.equal(el.style.transform, 'translateY(-4px)');
+
+    timeline.setEnabled(false);
+    assert.deepEqual([el.style.translate, el.style.scale, el.style.rotate], ['', '', '']);
+});
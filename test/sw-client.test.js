@@ -0,0 +1,54 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installDom, settle } from './helpers/fake-dom.js';
+import { precacheFrames } from '../engine/sw-client.js';
+
+let dom = null;
+let worker = null;
+
+// An active worker that keeps the reply port of every message it gets
+beforeEach(() => {
+    dom = installDom();
+    worker = {
+        ports: [],
+        postMessage(msg, [port]) { this.ports.push(port); },
+    };
+    globalThis.location = { protocol: 'https:' };
+    globalThis.navigator = { serviceWorker: { ready: Promise.resolve({ active: worker }) } };
+});
+
+afterEach(() => {
+    worker.ports.forEach((port) => port.close());
+    delete globalThis.location;
+    delete globalThis.navigator;
+    dom.restore();
+});
+
+// Deliver a reply from the worker over the channel (a real MessagePort)
+async function reply(msg) {
+    worker.ports[0].postMessage(msg);
+    for (let i = 0; i < 5; i++) await settle();
+}
+
+test('precache resolves with the worker\'s result', async () => {
+    const result = precacheFrames({ urls: ['f/1.png'], timeout: 1000 });
+    await settle();
+    await reply({ type: 'done', cached: 1, failed: [], mode: 'full' });
+    assert.deepEqual(await result, { cached: 1, failed: [], mode: 'full' });
+});
+
+test('precache rejects when the worker stops answering', { timeout: 5000 }, async () => {
+    const progress = [];
+    const result = precacheFrames({ urls: ['f/1.png', 'f/2.png'], timeout: 1000, onProgress: (p) => progress.push(p.done) });
+    await settle();
+
+    // Progress keeps it alive
+    dom.clock.advance(800);
+    await reply({ type: 'progress', done: 1, total: 2, mode: 'full' });
+    dom.clock.advance(800);
+    assert.deepEqual(progress, [1]);
+
+    dom.clock.advance(200);
+    await assert.rejects(result, /timed out after 1000ms/);
+});
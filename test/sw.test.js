@@ -0,0 +1,212 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadServiceWorker, request, createPort, ORIGIN } from './helpers/fake-sw.js';
+
+const MANIFEST = {
+    frameCount: 100,
+    renditions: [
+        { id: 'full', pattern: '{n}.png', pad: 3 },
+        { id: '720', base: '720/', pattern: '{n}.webp', pad: 3, step: 2 },
+    ],
+};
+
+// Same-origin files exist, the manifest is MANIFEST, the font CDN is down
+function network(overrides = {}) {
+    return (url) => {
+        if (url in overrides) return overrides[url] && overrides[url]();
+        if (url === `${ORIGIN}/frames/manifest.json`) return Response.json(MANIFEST);
+        if (url.startsWith(`${ORIGIN}/`)) return new Response(`network ${url}`);
+        return undefined;
+    };
+}
+
+const body = (response) => response.text();
+
+/* ── Install ───────────────────────────────────────────── */
+test('install caches the static assets and keyframes of the registered rendition', async () => {
+    const sw = loadServiceWorker({ search: '?frames=abc&rendition=720', respond: network() });
+    await sw.dispatch('install');
+
+    const staticCache = sw.caches.stores.get(sw.evaluate('STATIC_CACHE'));
+    sw.evaluate('STATIC_ASSETS').forEach((asset) => {
+        assert.ok(staticCache.has(new URL(asset, `${ORIGIN}/`).href), asset);
+    });
+
+    const frames = [...sw.caches.stores.get('antigravity-frames-abc').keys()];
+    assert.equal(frames.length, 20);
+    assert.ok(frames.includes(`${ORIGIN}/frames/720/001.webp`));
+    assert.ok(frames.includes(`${ORIGIN}/frames/720/050.webp`));
+    assert.ok(sw.skippedWaiting);
+});
+
+test('install picks keyframes from the distinct frame files, as the page does', async () => {
+    // 30 identical leading frames stored once, then 10 distinct ones
+    const files = [...Array(30).fill('same.png'), ...Array.from({ length: 10 }, (_, i) => `f${i}.png`)];
+    const manifest = { frameCount: 40, renditions: [{ id: 'dedup', files }] };
+    const sw = loadServiceWorker({
+        search: '?frames=abc&rendition=dedup',
+        respond: network({ [`${ORIGIN}/frames/manifest.json`]: () => Response.json(manifest) }),
+    });
+    await sw.dispatch('install');
+
+    const frames = [...sw.caches.stores.get('antigravity-frames-abc').keys()];
+    assert.equal(frames.length, 11);
+});
+
+test('install fails when a static asset is missing', async () => {
+    const sw = loadServiceWorker({ respond: network({ [`${ORIGIN}/style.css`]: null }) });
+    await assert.rejects(sw.dispatch('install'));
+    assert.ok(!sw.skippedWaiting);
+});
+
+test('the manifest parameter only accepts relative .json paths', () => {
+    const manifest = (value) => loadServiceWorker({ search: `?manifest=${encodeURIComponent(value)}` })
+        .evaluate('FRAME_MANIFEST');
+
+    assert.equal(manifest('./products/demo/manifest.json'), './products/demo/manifest.json');
+    assert.equal(manifest('https://elsewhere.test/manifest.json'), './frames/manifest.json');
+    assert.equal(manifest('//elsewhere.test/manifest.json'), './frames/manifest.json');
+    assert.equal(manifest('./frames/manifest.js'), './frames/manifest.json');
+});
+
+test('the product config is cached only when registered with a relative path', () => {
+    const assets = (search) => loadServiceWorker({ search }).evaluate('STATIC_ASSETS');
+    assert.ok(assets('?product=./products/demo.json').includes('./products/demo.json'));
+    assert.ok(!assets('').some((asset) => asset.startsWith('./products/')));
+    assert.ok(!assets(`?product=${encodeURIComponent('https://elsewhere.test/demo.json')}`).some((asset) => asset.includes('demo')));
+});
+
+/* ── Activate ──────────────────────────────────────────── */
+test('activate drops stale versions of this app\'s caches only', async () => {
+    const sw = loadServiceWorker({ search: '?frames=abc', respond: network() });
+    const current = [sw.evaluate('STATIC_CACHE'), 'antigravity-frames-abc'];
+    const stale = ['antigravity-static-old', 'antigravity-frames-xyz'];
+    await Promise.all([...current, ...stale, 'someone-else'].map((name) => sw.caches.open(name)));
+
+    await sw.dispatch('activate');
+    assert.deepEqual((await sw.caches.keys()).sort(), [...current, 'someone-else'].sort());
+    assert.ok(sw.claimed);
+});
+
+/* ── Frames: cache-first ───────────────────────────────── */
+test('frames are served cache-first and counted as hits and misses', async () => {
+    const sw = loadServiceWorker({ search: '?frames=abc', respond: network() });
+    const frame = request('./frames/720/007.webp');
+
+    const first = await sw.dispatch('fetch', { request: frame });
+    assert.equal(await body(first.response), `network ${frame.url}`);
+    assert.ok(sw.caches.stores.get('antigravity-frames-abc').has(frame.url));
+
+    sw.fetched.length = 0;
+    const second = await sw.dispatch('fetch', { request: frame });
+    assert.equal(await body(second.response), `network ${frame.url}`);
+    assert.deepEqual(sw.fetched, []);
+
+    const port = createPort();
+    await sw.dispatch('message', { data: { type: 'stats' }, ports: [port] });
+    assert.deepEqual(port.messages, [{ type: 'stats', hits: 1, misses: 1 }]);
+});
+
+test('an uncached frame offline answers 408', async () => {
+    const sw = loadServiceWorker({ respond: network() });
+    sw.offline = true;
+    const { response } = await sw.dispatch('fetch', { request: request('./frames/042.png') });
+    assert.equal(response.status, 408);
+});
+
+test('failed frame responses are not cached', async () => {
+    const sw = loadServiceWorker({ search: '?frames=abc', respond: network({ [`${ORIGIN}/frames/404.png`]: null }) });
+    const { response } = await sw.dispatch('fetch', { request: request('./frames/404.png') });
+    assert.equal(response.status, 404);
+    assert.ok(!sw.caches.stores.get('antigravity-frames-abc').has(`${ORIGIN}/frames/404.png`));
+});
+
+test('frames are the images under the manifest folder or the registered frame path', async () => {
+    const search = `?frames=abc&manifest=${encodeURIComponent('./products/demo/manifest.json')}&framePath=./media/`;
+    const sw = loadServiceWorker({ search, respond: network() });
+    const frames = ['./products/demo/720/007.webp', './media/001.png'];
+    for (const path of frames) await sw.dispatch('fetch', { request: request(path) });
+    await sw.dispatch('fetch', { request: request('./frames/001.png') });
+
+    const frameCache = sw.caches.stores.get('antigravity-frames-abc');
+    assert.deepEqual([...frameCache.keys()].sort(), frames.map((path) => new URL(path, `${ORIGIN}/`).href).sort());
+});
+
+/* ── Static assets: stale-while-revalidate ─────────────── */
+test('static assets come from the cache and are refreshed in the background', async () => {
+    let version = 1;
+    const url = `${ORIGIN}/style.css`;
+    const sw = loadServiceWorker({ respond: network({ [url]: () => new Response(`v${version}`) }) });
+
+    const miss = await sw.dispatch('fetch', { request: request('./style.css') });
+    assert.equal(await body(miss.response), 'v1');               // Nothing cached: waits for the network
+
+    version = 2;
+    const stale = await sw.dispatch('fetch', { request: request('./style.css') });
+    assert.equal(await body(stale.response), 'v1');
+    await new Promise((resolve) => setImmediate(resolve));
+
+    const fresh = await sw.dispatch('fetch', { request: request('./style.css') });
+    assert.equal(await body(fresh.response), 'v2');
+});
+
+test('cached static assets still answer offline', async () => {
+    const sw = loadServiceWorker({ respond: network() });
+    await sw.dispatch('fetch', { request: request('./script.js') });
+    sw.offline = true;
+    const { response } = await sw.dispatch('fetch', { request: request('./script.js') });
+    assert.equal(await body(response), `network ${ORIGIN}/script.js`);
+});
+
+test('cross-origin requests are cache-first in the static cache', async () => {
+    const font = 'https://fonts.gstatic.test/inter.woff2';
+    const sw = loadServiceWorker({ respond: network({ [font]: () => new Response('font') }) });
+
+    await sw.dispatch('fetch', { request: request(font) });
+    sw.offline = true;
+    const { response } = await sw.dispatch('fetch', { request: request(font) });
+    assert.equal(await body(response), 'font');
+    assert.ok(sw.caches.stores.get(sw.evaluate('STATIC_CACHE')).has(font));
+});
+
+/* ── Navigations: network-first ────────────────────────── */
+test('page loads go to the network first and fall back to the cached page', async () => {
+    const sw = loadServiceWorker({ respond: network() });
+    await sw.dispatch('install');
+
+    const online = await sw.dispatch('fetch', { request: request('./?product=antigravity', { mode: 'navigate' }) });
+    assert.equal(await body(online.response), `network ${ORIGIN}/?product=antigravity`);
+
+    sw.offline = true;
+    const offline = await sw.dispatch('fetch', { request: request('./?debug', { mode: 'navigate' }) });
+    assert.equal(offline.response.status, 200);
+    assert.match(await body(offline.response), /^network https:\/\/example\.test\//);
+});
+
+test('a page load offline with nothing cached answers 503', async () => {
+    const sw = loadServiceWorker({ respond: network() });
+    sw.offline = true;
+    const { response } = await sw.dispatch('fetch', { request: request('./', { mode: 'navigate' }) });
+    assert.equal(response.status, 503);
+});
+
+/* ── Background precache ───────────────────────────────── */
+test('precache falls back to keyframes when the quota runs out', async () => {
+    const sw = loadServiceWorker({ search: '?frames=abc', respond: network() });
+    const cache = await sw.caches.open('antigravity-frames-abc');
+    const put = cache.put;
+    // Room for three frames
+    cache.put = (req, res) => (cache.entries.size >= 3
+        ? Promise.reject(Object.assign(new Error('Quota exceeded'), { name: 'QuotaExceededError' }))
+        : put.call(cache, req, res));
+    sw.caches.open = async () => cache;
+
+    const urls = Array.from({ length: 10 }, (_, i) => `${ORIGIN}/frames/${String(i + 1).padStart(3, '0')}.png`);
+    const keyframes = [urls[0], urls[9]];
+    const port = createPort();
+    await sw.dispatch('message', { data: { type: 'precache', urls, keyframes }, ports: [port] });
+
+    assert.deepEqual(port.messages[port.messages.length - 1], { type: 'done', cached: 2, failed: [], mode: 'keyframes' });
+    assert.deepEqual([...cache.entries.keys()].sort(), keyframes);
+});
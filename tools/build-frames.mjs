@@ -0,0 +1,452 @@
+#!/usr/bin/env node
+/* ═══════════════════════════════════════════════════════════
+   ANTIGRAVITY — Frame Set Builder (offline CLI)
+   Validates source frames, drops byte-identical repeats,
+   writes renditions and frames/manifest.json-style output
+
+   node tools/build-frames.mjs <frames-dir | video> [options]
+
+     --out <dir>            Output directory            (default: dist/frames)
+     --rendition <spec>     <height|full>:<png|webp|avif|jpg>[:<step>][@<cols>x<rows>]
+                            repeatable                  (default: full:png)
+                            @4x4 packs 16 frames per sprite sheet
+     --min-width <px>       Reject narrower frames      (default: 640)
+     --min-height <px>      Reject shorter frames       (default: 360)
+     --fps <n>              Frame rate when extracting from a video
+     --repair               Replace invalid frames with the nearest
+                            valid neighbour instead of failing
+
+   Copying PNGs at full size needs nothing else; resizing,
+   re-encoding and video input use a local ffmpeg binary.
+   ═══════════════════════════════════════════════════════════ */
+
+import { createHash } from 'node:crypto';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import zlib from 'node:zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const FORMATS = ['png', 'webp', 'avif', 'jpg'];
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };   // PNG colour type → samples per pixel
+
+class BuildError extends Error { }
+
+/* ── CRC-32 (PNG chunk checksums) ──────────────────────── */
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+function crc32(buf) {
+    let c = -1;
+    for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+    return (c ^ -1) >>> 0;
+}
+
+/* ── PNG inspection ────────────────────────────────────── */
+// Returns { width, height } or throws BuildError naming the defect.
+export function inspectPng(buf) {
+    if (buf.length < 33 || !buf.subarray(0, 8).equals(PNG_SIGNATURE)) throw new BuildError('not a PNG');
+
+    let offset = 8;
+    let header = null;
+    let ended = false;
+    let trns = null;
+    const idat = [];
+
+    while (offset + 12 <= buf.length) {
+        const length = buf.readUInt32BE(offset);
+        const type = buf.toString('latin1', offset + 4, offset + 8);
+        const end = offset + 12 + length;
+        if (end > buf.length) throw new BuildError(`truncated ${type} chunk`);
+
+        const data = buf.subarray(offset + 8, offset + 8 + length);
+        if (crc32(buf.subarray(offset + 4, offset + 8 + length)) !== buf.readUInt32BE(offset + 8 + length)) {
+            throw new BuildError(`bad CRC in ${type} chunk`);
+        }
+
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12],
+            };
+        } else if (type === 'tRNS') {
+            trns = data;
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        } else if (type === 'IEND') {
+            ended = true;
+            break;
+        }
+        offset = end;
+    }
+
+    if (!header) throw new BuildError('missing IHDR');
+    if (!ended) throw new BuildError('missing IEND (truncated file)');
+    if (!idat.length) throw new BuildError('no image data');
+
+    let pixels;
+    try {
+        pixels = zlib.inflateSync(Buffer.concat(idat));
+    } catch (err) {
+        throw new BuildError(`corrupt image data (${err.message})`);
+    }
+
+    // Non-interlaced images have a known decoded size. Only fully transparent
+    // frames are blank (the 359-byte exports); opaque black is a real frame.
+    if (!header.interlace) {
+        const stride = 1 + Math.ceil(header.width * CHANNELS[header.colorType] * header.bitDepth / 8);
+        if (pixels.length < stride * header.height) throw new BuildError('image data shorter than its dimensions');
+        if (isTransparent(header, pixels, stride, trns)) {
+            throw new BuildError('blank frame (fully transparent)');
+        }
+    }
+
+    return { width: header.width, height: header.height };
+}
+
+/* ── Scanline filters (PNG spec §9) → raw rows, no filter bytes ── */
+function unfilter(pixels, header, stride) {
+    const bpp = Math.max(1, CHANNELS[header.colorType] * header.bitDepth / 8);
+    const width = stride - 1;
+    const out = Buffer.alloc(width * header.height);
+
+    for (let y = 0; y < header.height; y++) {
+        const filter = pixels[y * stride];
+        const src = y * stride + 1;
+        const row = y * width;
+        const prev = row - width;
+        for (let x = 0; x < width; x++) {
+            const a = x >= bpp ? out[row + x - bpp] : 0;
+            const b = y > 0 ? out[prev + x] : 0;
+            const c = x >= bpp && y > 0 ? out[prev + x - bpp] : 0;
+            let p = 0;
+            if (filter === 1) p = a;
+            else if (filter === 2) p = b;
+            else if (filter === 3) p = (a + b) >> 1;
+            else if (filter === 4) {
+                const pa = Math.abs(b - c);
+                const pb = Math.abs(a - c);
+                const pc = Math.abs(a + b - 2 * c);
+                p = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+            } else if (filter !== 0) {
+                throw new BuildError(`corrupt image data (unknown filter ${filter})`);
+            }
+            out[row + x] = (pixels[src + x] + p) & 0xff;
+        }
+    }
+    return out;
+}
+
+// Every pixel's alpha is 0: alpha channel (types 4, 6) or, for palette
+// images, every palette entry in use is transparent in tRNS
+function isTransparent(header, pixels, stride, trns) {
+    const { colorType, bitDepth } = header;
+    if (colorType !== 4 && colorType !== 6 && !(colorType === 3 && trns)) return false;
+    const rows = unfilter(pixels, header, stride);
+    const width = stride - 1;
+
+    if (colorType === 4 || colorType === 6) {
+        const sample = bitDepth / 8;
+        const pixel = CHANNELS[colorType] * sample;
+        for (let i = pixel - sample; i < rows.length; i += pixel) {
+            if (rows[i] !== 0 || (sample === 2 && rows[i + 1] !== 0)) return false;
+        }
+        return true;
+    }
+
+    if (colorType === 3 && trns) {
+        // Entries past the end of tRNS are opaque
+        const perByte = 8 / bitDepth;
+        const mask = (1 << bitDepth) - 1;
+        for (let y = 0; y < header.height; y++) {
+            for (let x = 0; x < header.width; x++) {
+                const byte = rows[y * width + Math.floor(x / perByte)];
+                const index = (byte >> ((perByte - 1 - (x % perByte)) * bitDepth)) & mask;
+                if (index >= trns.length || trns[index] !== 0) return false;
+            }
+        }
+        return true;
+    }
+
+    return false;
+}
+
+/* ── CLI arguments ─────────────────────────────────────── */
+export function parseRendition(spec) {
+    const [body, grid] = spec.split('@');
+    const [size, format = 'png', step = '1'] = body.split(':');
+    const height = size === 'full' ? null : Number(size);
+
+    if (size !== 'full' && !(height > 0)) throw new BuildError(`bad rendition size "${size}" in "${spec}"`);
+    if (!FORMATS.includes(format)) throw new BuildError(`bad rendition format "${format}" in "${spec}"`);
+    if (!(Number(step) >= 1) || !Number.isInteger(Number(step))) throw new BuildError(`bad rendition step "${step}" in "${spec}"`);
+
+    let atlas = null;
+    if (grid !== undefined) {
+        const [cols, rows] = grid.split('x').map(Number);
+        if (!(cols >= 1 && rows >= 1) || !Number.isInteger(cols) || !Number.isInteger(rows)) {
+            throw new BuildError(`bad atlas grid "${grid}" in "${spec}" (expected e.g. @4x4)`);
+        }
+        atlas = { cols, rows };
+    }
+
+    return { height, format, step: Number(step), atlas };
+}
+
+function parseArgs(argv) {
+    const args = { input: null, out: 'dist/frames', renditions: [], minWidth: 640, minHeight: 360, fps: null, repair: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new BuildError(`${arg} needs a value`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--out': args.out = value(); break;
+            case '--rendition': args.renditions.push(parseRendition(value())); break;
+            case '--min-width': args.minWidth = Number(value()); break;
+            case '--min-height': args.minHeight = Number(value()); break;
+            case '--fps': args.fps = Number(value()); break;
+            case '--repair': args.repair = true; break;
+            case '-h':
+            case '--help': args.help = true; break;
+            default:
+                if (arg.startsWith('--')) throw new BuildError(`unknown option ${arg}`);
+                if (args.input) throw new BuildError(`unexpected argument ${arg}`);
+                args.input = arg;
+        }
+    }
+    if (!args.renditions.length) args.renditions.push(parseRendition('full:png'));
+    return args;
+}
+
+/* ── ffmpeg (local binary only) ────────────────────────── */
+let ffmpegChecked = null;
+
+function requireFfmpeg(reason) {
+    if (ffmpegChecked === null) {
+        const probe = spawnSync('ffmpeg', ['-version'], { stdio: 'ignore' });
+        ffmpegChecked = probe.status === 0;
+    }
+    if (!ffmpegChecked) throw new BuildError(`ffmpeg is required to ${reason} but was not found on PATH`);
+}
+
+function ffmpeg(args) {
+    const run = spawnSync('ffmpeg', ['-hide_banner', '-loglevel', 'error', '-y', ...args], { encoding: 'utf8' });
+    if (run.status !== 0) throw new BuildError(`ffmpeg ${args.join(' ')} failed:\n${run.stderr}`);
+}
+
+function extractVideo(file, fps) {
+    requireFfmpeg('read video input');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-frames-'));
+    ffmpeg(['-i', file, ...(fps ? ['-vf', `fps=${fps}`] : []), path.join(dir, '%03d.png')]);
+    return dir;
+}
+
+/* ── Source frames ─────────────────────────────────────── */
+function listFrames(dir) {
+    const names = fs.readdirSync(dir)
+        .filter((n) => n.toLowerCase().endsWith('.png'))
+        .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+    if (!names.length) throw new BuildError(`no .png frames in ${dir}`);
+    return names.map((name) => path.join(dir, name));
+}
+
+function sha256(buf) {
+    return createHash('sha256').update(buf).digest('hex');
+}
+
+// Validates every frame; returns [{ file, hash, width, height, error }]
+function readSources(files, { minWidth, minHeight }) {
+    const sources = files.map((file) => {
+        const buf = fs.readFileSync(file);
+        const source = { file, hash: sha256(buf), bytes: buf.length, width: 0, height: 0, error: null };
+        try {
+            Object.assign(source, inspectPng(buf));
+            if (source.width < minWidth || source.height < minHeight) {
+                source.error = `undersized ${source.width}×${source.height} (minimum ${minWidth}×${minHeight})`;
+            }
+        } catch (err) {
+            if (!(err instanceof BuildError)) throw err;
+            source.error = err.message;
+        }
+        return source;
+    });
+
+    // The most common size wins; anything else is a mismatched export
+    const counts = new Map();
+    sources.filter((s) => !s.error).forEach((s) => {
+        const key = `${s.width}x${s.height}`;
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    const [common] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+    sources.forEach((s) => {
+        if (!s.error && `${s.width}x${s.height}` !== common) {
+            s.error = `size ${s.width}×${s.height} differs from the set (${common.replace('x', '×')})`;
+        }
+    });
+    return sources;
+}
+
+function repairSources(sources) {
+    const good = sources.map((s, i) => (s.error ? -1 : i)).filter((i) => i >= 0);
+    if (!good.length) throw new BuildError('no valid frames to repair from');
+
+    return sources.map((s, i) => {
+        if (!s.error) return s;
+        const nearest = good.reduce((best, g) => (Math.abs(g - i) < Math.abs(best - i) ? g : best), good[0]);
+        console.warn(`  repaired ${path.basename(s.file)} (${s.error}) → ${path.basename(sources[nearest].file)}`);
+        return { ...sources[nearest] };
+    });
+}
+
+/* ── Renditions ────────────────────────────────────────── */
+function renditionId({ height, format, step, atlas }, sourceHeight) {
+    return `${height || sourceHeight}p-${format}${step > 1 ? `-x${step}` : ''}${atlas ? `-atlas${atlas.cols}x${atlas.rows}` : ''}`;
+}
+
+function buildRendition(spec, sources, outDir) {
+    const sourceW = sources[0].width;
+    const sourceH = sources[0].height;
+    const height = Math.min(spec.height || sourceH, sourceH);
+    const width = Math.round(sourceW * height / sourceH / 2) * 2;
+    const id = renditionId(spec, sourceH);
+    const reencode = spec.format !== 'png' || height !== sourceH;
+    if (reencode || spec.atlas) requireFfmpeg(`build the ${id} rendition`);
+
+    // The rendition directory is owned by this tool; start it clean
+    const dir = path.join(outDir, id);
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+
+    // Byte-identical consecutive frames share one stored image
+    const picked = sources.filter((_, i) => i % spec.step === 0);
+    const unique = [];
+    const slots = picked.map((source, i) => {
+        if (i === 0 || picked[i - 1].hash !== source.hash) unique.push(source);
+        return unique.length - 1;
+    });
+
+    const assets = {};
+    const record = (name) => {
+        const buf = fs.readFileSync(path.join(dir, name));
+        assets[name] = { sha256: sha256(buf), bytes: buf.length };
+    };
+    const rendition = { id, format: spec.format, width, height, step: spec.step, frameCount: picked.length, base: `./${id}/` };
+
+    if (spec.atlas) {
+        // Sheets of cols × rows frames, filled left-to-right, top-to-bottom
+        const { cols, rows } = spec.atlas;
+        const perSheet = cols * rows;
+        const sheets = [];
+
+        for (let first = 0; first < unique.length; first += perSheet) {
+            const group = unique.slice(first, first + perSheet);
+            const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'antigravity-atlas-'));
+            group.forEach((source, i) => fs.copyFileSync(source.file, path.join(tmp, `${String(i + 1).padStart(3, '0')}.png`)));
+
+            const name = `atlas-${String(sheets.length + 1).padStart(3, '0')}.${spec.format}`;
+            ffmpeg([
+                '-framerate', '1', '-i', path.join(tmp, '%03d.png'),
+                '-vf', `scale=${width}:${height}:flags=lanczos,tile=${cols}x${rows}`,
+                '-frames:v', '1', path.join(dir, name),
+            ]);
+            fs.rmSync(tmp, { recursive: true, force: true });
+            record(name);
+            sheets.push(name);
+        }
+
+        rendition.atlas = {
+            sheets,
+            frames: slots.map((slot) => {
+                const cell = slot % perSheet;
+                return [Math.floor(slot / perSheet), (cell % cols) * width, Math.floor(cell / cols) * height, width, height];
+            }),
+        };
+    } else {
+        const names = unique.map((source, i) => {
+            const name = `${String(i + 1).padStart(3, '0')}.${spec.format}`;
+            const target = path.join(dir, name);
+            if (reencode) {
+                ffmpeg(['-i', source.file, '-vf', `scale=${width}:${height}:flags=lanczos`, target]);
+            } else {
+                fs.copyFileSync(source.file, target);
+            }
+            record(name);
+            return name;
+        });
+        rendition.files = slots.map((slot) => names[slot]);
+    }
+
+    rendition.assets = assets;
+    rendition.bytes = Object.values(assets).reduce((sum, a) => sum + a.bytes, 0);
+    return rendition;
+}
+
+/* ── Main ──────────────────────────────────────────────── */
+export function build(args) {
+    if (!args.input) throw new BuildError('missing input (a frames directory or a video file)');
+    if (!fs.existsSync(args.input)) throw new BuildError(`input ${args.input} does not exist`);
+
+    const dir = fs.statSync(args.input).isDirectory() ? args.input : extractVideo(args.input, args.fps);
+    let sources = readSources(listFrames(dir), args);
+
+    const invalid = sources.filter((s) => s.error);
+    if (invalid.length) {
+        const list = invalid.map((s) => `  ${path.basename(s.file)}: ${s.error}`).join('\n');
+        if (!args.repair) throw new BuildError(`${invalid.length} invalid frame(s):\n${list}\n(re-run with --repair to substitute neighbours)`);
+        console.warn(`${invalid.length} invalid frame(s):`);
+        sources = repairSources(sources);
+    }
+
+    const ids = args.renditions.map((spec) => renditionId(spec, sources[0].height));
+    const clash = ids.find((id, i) => ids.indexOf(id) !== i);
+    if (clash) throw new BuildError(`rendition ${clash} is listed twice`);
+
+    fs.mkdirSync(args.out, { recursive: true });
+    const renditions = args.renditions.map((spec) => buildRendition(spec, sources, args.out));
+
+    const manifest = {
+        version: 1,
+        hash: sha256(renditions.map((r) => Object.values(r.assets).map((a) => a.sha256).join()).join('|')).slice(0, 12),
+        frameCount: sources.length,
+        width: sources[0].width,
+        height: sources[0].height,
+        renditions,
+    };
+    fs.writeFileSync(path.join(args.out, 'manifest.json'), JSON.stringify(manifest, null, 4) + '\n');
+    return manifest;
+}
+
+function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+        if (args.help) {
+            console.log('usage: node tools/build-frames.mjs <frames-dir | video> [--out dir] [--rendition <height|full>:<format>[:<step>][@<cols>x<rows>]]... [--min-width px] [--min-height px] [--fps n] [--repair]');
+            return;
+        }
+        const manifest = build(args);
+        manifest.renditions.forEach((r) => {
+            const files = Object.keys(r.assets).length;
+            console.log(`${r.id}: ${r.frameCount} frames in ${files} files, ${(r.bytes / 1048576).toFixed(1)} MB`);
+        });
+        console.log(`manifest ${manifest.hash} → ${path.join(args.out, 'manifest.json')}`);
+    } catch (err) {
+        if (!(err instanceof BuildError)) throw err;
+        console.error(`build-frames: ${err.message}`);
+        process.exitCode = 1;
+    }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === path.resolve(new URL(import.meta.url).pathname)) {
+    main();
+}